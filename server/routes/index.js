@@ -3,22 +3,79 @@
  */
 
 import fs from 'fs';
-import { cacheManager, CacheType } from '../utils/cache.js';
+import {
+  cacheManager,
+  CacheType,
+  CACHE_TTL,
+  MAX_FILE_SIZES,
+  CacheFullError,
+  FileTooLargeError
+} from '../utils/cache.js';
 import { taskQueue, TaskType, TaskStatus } from '../utils/queue.js';
+import { createTaskStore } from '../utils/store.js';
+import { uploadManager, DEFAULT_CHUNK_SIZE, MAX_CHUNK_SIZE } from '../utils/upload.js';
+import { expandTestcaseArchive, ArchiveError } from '../utils/archive.js';
+import { languageRegistry, EXECUTABLE_NAME } from '../utils/languages.js';
+import { isValidCallbackUrl } from '../utils/webhook.js';
+import { openEventStream } from '../utils/sse.js';
+import { registerWebSocketRoutes } from './ws.js';
 import {
   handleCompile,
   handleCompileChecker,
   handleJudge,
+  handleJudgeBatch,
   handleRun,
-  handleInteractive
+  handleInteractive,
+  handleSubmit,
+  JudgeMode,
+  SubtaskPolicy,
+  SubmitAction
 } from '../utils/handlers.js';
 
 // 注册任务处理器
 taskQueue.registerHandler(TaskType.COMPILE, handleCompile);
 taskQueue.registerHandler(TaskType.COMPILE_CHECKER, handleCompileChecker);
 taskQueue.registerHandler(TaskType.JUDGE, handleJudge);
+taskQueue.registerHandler(TaskType.JUDGE_BATCH, handleJudgeBatch);
 taskQueue.registerHandler(TaskType.RUN, handleRun);
 taskQueue.registerHandler(TaskType.INTERACTIVE, handleInteractive);
+taskQueue.registerHandler(TaskType.SUBMIT, handleSubmit);
+
+// 各类任务的默认超时（毫秒），可通过 JUDGE_TASK_TIMEOUT_<TYPE> 覆盖
+const DEFAULT_TASK_TIMEOUTS = {
+  [TaskType.COMPILE]: 60 * 1000,
+  [TaskType.COMPILE_CHECKER]: 60 * 1000,
+  [TaskType.JUDGE]: 60 * 1000,
+  [TaskType.JUDGE_BATCH]: 30 * 60 * 1000,
+  [TaskType.RUN]: 60 * 1000,
+  [TaskType.INTERACTIVE]: 2 * 60 * 1000,
+  [TaskType.SUBMIT]: 2 * 60 * 1000,
+};
+
+// 缓存总容量默认上限（MB），可通过 JUDGE_CACHE_MAX_SIZE 覆盖
+const DEFAULT_CACHE_MAX_SIZE = 1024;
+
+// 单次请求上传的文件大小上限（字节），更大的文件需使用分块上传
+const MAX_UPLOAD_SIZE = 100 * 1024 * 1024; // 100MB
+
+// 各缓存类型中最大的文件大小上限，/upload 尚未收到 type 字段时按此接收
+const MAX_FILE_SIZE_ANY = Math.max(...Object.values(MAX_FILE_SIZES));
+
+// POST /cache 单次请求最多写入的文件数
+const MAX_INLINE_FILES = 1000;
+
+// 编译时附带的额外文件数量上限
+const MAX_EXTRA_FILES = 16;
+
+// 额外文件名只允许简单字符（会出现在编译命令中）
+const EXTRA_FILE_NAME_REGEX = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+// GET /cache 分页参数：默认每页条目数与上限
+const DEFAULT_CACHE_PAGE_SIZE = 50;
+const MAX_CACHE_PAGE_SIZE = 1000;
+
+// GET /task/:taskId 长轮询的最长等待时间（秒）
+const MAX_TASK_WAIT = 60;
 
 /**
  * 鉴权中间件
@@ -40,6 +97,271 @@ async function authMiddleware(request, reply) {
   }
 }
 
+/**
+ * 校验批量评测的子任务定义
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+function validateSubtasks(subtasks, caseCount) {
+  if (!Array.isArray(subtasks)) {
+    return 'subtasks must be an array';
+  }
+  
+  const validPolicies = Object.values(SubtaskPolicy);
+  const covered = new Set();
+  
+  for (let s = 0; s < subtasks.length; s++) {
+    const { cases, score, policy, dependencies = [] } = subtasks[s] || {};
+    
+    if (!Array.isArray(cases) || cases.length === 0) {
+      return `subtasks[${s}]: cases must be a non-empty array of case indices`;
+    }
+    for (const caseIndex of cases) {
+      if (!Number.isInteger(caseIndex) || caseIndex < 0 || caseIndex >= caseCount) {
+        return `subtasks[${s}]: invalid case index ${caseIndex}`;
+      }
+      covered.add(caseIndex);
+    }
+    if (score !== undefined && (typeof score !== 'number' || score < 0)) {
+      return `subtasks[${s}]: score must be a non-negative number`;
+    }
+    if (policy !== undefined && !validPolicies.includes(policy)) {
+      return `subtasks[${s}]: invalid policy. Valid policies: ${validPolicies.join(', ')}`;
+    }
+    if (!Array.isArray(dependencies)) {
+      return `subtasks[${s}]: dependencies must be an array`;
+    }
+    // 只允许依赖排在前面的子任务，避免循环依赖
+    for (const dep of dependencies) {
+      if (!Number.isInteger(dep) || dep < 0 || dep >= s) {
+        return `subtasks[${s}]: dependency ${dep} must refer to an earlier subtask`;
+      }
+    }
+  }
+  
+  if (covered.size !== caseCount) {
+    const missing = Array.from({ length: caseCount }, (_, i) => i).filter(i => !covered.has(i));
+    return `cases ${missing.join(', ')} are not assigned to any subtask`;
+  }
+  
+  return null;
+}
+
+/**
+ * 解析缓存有效期参数
+ * @param {*} ttl - 有效期（秒）
+ * @param {*} pinned - 是否常驻（multipart 字段为字符串 'true' / 'false'）
+ * @returns {{ ttl?: number|null, error?: string }} ttl 单位为毫秒，null 表示常驻，undefined 表示未指定
+ */
+function parseCacheTtl(ttl, pinned) {
+  if (pinned === true || pinned === 'true') {
+    return { ttl: null };
+  }
+  
+  if (ttl === undefined || ttl === '') {
+    // 取消常驻且未指定有效期时恢复默认有效期
+    return { ttl: pinned === false || pinned === 'false' ? CACHE_TTL : undefined };
+  }
+  
+  const seconds = Number(ttl);
+  if (!Number.isInteger(seconds) || seconds <= 0) {
+    return { error: 'ttl must be a positive integer (seconds)' };
+  }
+  return { ttl: seconds * 1000 };
+}
+
+/**
+ * 缓存剩余有效期（秒），常驻缓存返回 null
+ */
+function cacheExpiresIn(cache) {
+  return cache.expiresAt === null ? null : Math.max(0, Math.round((cache.expiresAt - Date.now()) / 1000));
+}
+
+/**
+ * 解析 JSON 内联文件 { type?, content, encoding?, fileName?, ttl?, pinned? }
+ * @param {object} file - 内联文件描述
+ * @param {string} [defaultType] - 未指定 type 时使用的缓存类型
+ * @returns {{ type?: string, buffer?: Buffer, fileName?: string, ttl?: number|null, error?: string, statusCode?: number }}
+ */
+function decodeInlineFile(file, defaultType = CacheType.SOURCE) {
+  if (!file || typeof file !== 'object') {
+    return { error: 'must be an object' };
+  }
+  
+  const { type = defaultType, content, encoding = 'utf8', fileName, ttl: ttlSeconds, pinned } = file;
+  
+  const validTypes = Object.values(CacheType);
+  if (!validTypes.includes(type)) {
+    return { error: `Invalid type. Valid types: ${validTypes.join(', ')}` };
+  }
+  if (typeof content !== 'string') {
+    return { error: 'content must be a string' };
+  }
+  if (encoding !== 'utf8' && encoding !== 'base64') {
+    return { error: 'encoding must be utf8 or base64' };
+  }
+  if (encoding === 'base64' && !/^[A-Za-z0-9+/]*={0,2}$/.test(content.replace(/\s/g, ''))) {
+    return { error: 'content is not valid base64' };
+  }
+  if (fileName !== undefined && typeof fileName !== 'string') {
+    return { error: 'fileName must be a string' };
+  }
+  if (pinned !== undefined && typeof pinned !== 'boolean') {
+    return { error: 'pinned must be a boolean' };
+  }
+  
+  const { ttl, error } = parseCacheTtl(ttlSeconds, pinned);
+  if (error) {
+    return { error };
+  }
+  
+  const buffer = Buffer.from(content, encoding);
+  if (buffer.length > MAX_FILE_SIZES[type]) {
+    return { error: new FileTooLargeError(MAX_FILE_SIZES[type]).message, statusCode: 413 };
+  }
+  
+  return { type, buffer, fileName, ttl };
+}
+
+/**
+ * 解析 /submit 中的文件参数：内联内容与已有缓存 ID 二选一
+ * @param {string} field - 参数名，如 source（对应 sourceCacheId）
+ * @param {string|object} [inline] - 字符串，或 { content, encoding?, fileName? }
+ * @param {string} [cacheId] - 已有缓存 ID
+ * @param {string} type - 缓存类型
+ * @returns {{ file?: object, cacheId?: string, error?: string, statusCode?: number }} 均未提供时返回空对象
+ */
+function resolveSubmitFile(field, inline, cacheId, type) {
+  if (inline !== undefined && cacheId !== undefined) {
+    return { error: `${field} and ${field}CacheId are mutually exclusive` };
+  }
+  
+  if (inline !== undefined) {
+    const file = decodeInlineFile(typeof inline === 'string' ? { content: inline } : { ...inline, type }, type);
+    if (file.error) {
+      return { error: `${field}: ${file.error}`, statusCode: file.statusCode };
+    }
+    return { file };
+  }
+  
+  if (cacheId !== undefined) {
+    if (!cacheManager.has(cacheId)) {
+      return { error: `${field}CacheId: cache not found or expired` };
+    }
+    return { cacheId };
+  }
+  
+  return {};
+}
+
+/**
+ * 上传接口返回的缓存条目信息
+ * 命中去重时条目的元数据沿用首次写入时的记录，响应中的 fileName 仍为本次上传的文件名
+ * @param {object} cache - cacheManager.get 的返回值
+ * @param {string} [fileName] - 本次上传的文件名，未提供时与新建条目一样使用 cacheId
+ */
+function formatUploadedCache(cache, fileName) {
+  return {
+    cacheId: cache.id,
+    fileName: fileName || cache.id,
+    type: cache.type,
+    size: cache.metadata.size,
+    hash: cache.metadata.hash,
+    pinned: cache.pinned,
+    expiresIn: cacheExpiresIn(cache),
+  };
+}
+
+/**
+ * 校验 language 参数，返回错误信息或 null
+ */
+function validateLanguage(language) {
+  if (!languageRegistry.has(language)) {
+    return `Unsupported language. Supported languages: ${languageRegistry.ids().join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * 校验编译参数 language、compileOptions 与 extraFiles，返回错误信息或 null
+ */
+function validateCompileRequest({ language, compileOptions, extraFiles }) {
+  const languageError = validateLanguage(language);
+  if (languageError) {
+    return languageError;
+  }
+  
+  const lang = languageRegistry.get(language);
+  
+  if (compileOptions !== undefined) {
+    const { error } = lang.resolveCompileOptions(compileOptions);
+    if (error) {
+      return `compileOptions: ${error}`;
+    }
+  }
+  
+  if (extraFiles !== undefined) {
+    if (!Array.isArray(extraFiles) || extraFiles.length > MAX_EXTRA_FILES) {
+      return `extraFiles must be an array of at most ${MAX_EXTRA_FILES} items`;
+    }
+    if (extraFiles.length > 0 && !lang.binary) {
+      return `Language ${language} does not support extraFiles`;
+    }
+    
+    // 不能覆盖工作目录中的源文件与编译产物
+    const fileNames = new Set([lang.sourceFileName, EXECUTABLE_NAME]);
+    for (const [index, file] of extraFiles.entries()) {
+      const { cacheId, fileName } = file || {};
+      if (typeof fileName !== 'string' || !EXTRA_FILE_NAME_REGEX.test(fileName)) {
+        return `extraFiles[${index}]: fileName must be a plain file name`;
+      }
+      if (fileNames.has(fileName)) {
+        return `extraFiles[${index}]: duplicate fileName ${fileName}`;
+      }
+      fileNames.add(fileName);
+      if (!cacheId || !cacheManager.has(cacheId)) {
+        return `extraFiles[${index}]: cache not found or expired`;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * 缓存条目的摘要信息（用于列表与按哈希查找）
+ */
+function formatCacheEntry(cache) {
+  return {
+    cacheId: cache.id,
+    type: cache.type,
+    fileName: cache.metadata.fileName,
+    size: cache.metadata.size,
+    pinned: cache.pinned,
+    expiresAt: cache.expiresAt,
+  };
+}
+
+/**
+ * 收集任务数据中引用的缓存 ID（字段名为 cacheId 或以 CacheId 结尾，含数组与嵌套对象中的字段）
+ * @param {*} value - 任务数据
+ * @param {Set<string>} [ids] - 结果集合
+ * @returns {Set<string>}
+ */
+function collectCacheIds(value, ids = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectCacheIds(item, ids));
+  } else if (value && typeof value === 'object') {
+    for (const [key, field] of Object.entries(value)) {
+      if (/^cacheId$|CacheId$/.test(key) && typeof field === 'string') {
+        ids.add(field);
+      } else {
+        collectCacheIds(field, ids);
+      }
+    }
+  }
+  return ids;
+}
+
 /**
  * 注册路由
  */
@@ -56,10 +378,52 @@ export async function registerRoutes(fastify) {
   }
   taskQueue.setConcurrency(judgeThreads);
 
+  // 设置任务超时：JUDGE_TASK_TIMEOUT 为所有类型的统一值，
+  // JUDGE_TASK_TIMEOUT_<TYPE>（如 JUDGE_TASK_TIMEOUT_JUDGE_BATCH）按类型覆盖，单位毫秒，0 表示不限制
+  const rawDefaultTimeout = process.env.JUDGE_TASK_TIMEOUT;
+  Object.values(TaskType).forEach(type => {
+    const envName = `JUDGE_TASK_TIMEOUT_${type.toUpperCase().replace(/-/g, '_')}`;
+    const rawTimeout = process.env[envName] ?? rawDefaultTimeout;
+    const parsedTimeout = Number.parseInt(rawTimeout ?? '', 10);
+
+    if (rawTimeout !== undefined && (Number.isNaN(parsedTimeout) || parsedTimeout < 0)) {
+      fastify.log.warn(`Invalid task timeout "${rawTimeout}" for ${type}, fallback to ${DEFAULT_TASK_TIMEOUTS[type]}ms`);
+    }
+
+    const timeout = Number.isNaN(parsedTimeout) || parsedTimeout < 0
+      ? DEFAULT_TASK_TIMEOUTS[type]
+      : parsedTimeout;
+    taskQueue.setTaskTimeout(type, timeout);
+  });
+
+  // 设置缓存容量上限：JUDGE_CACHE_MAX_SIZE 单位 MB，0 表示不限制
+  const rawCacheMaxSize = process.env.JUDGE_CACHE_MAX_SIZE;
+  const parsedCacheMaxSize = Number.parseInt(rawCacheMaxSize ?? '', 10);
+
+  if (rawCacheMaxSize !== undefined && (Number.isNaN(parsedCacheMaxSize) || parsedCacheMaxSize < 0)) {
+    fastify.log.warn(`Invalid JUDGE_CACHE_MAX_SIZE="${rawCacheMaxSize}", fallback to ${DEFAULT_CACHE_MAX_SIZE}MB`);
+  }
+
+  const cacheMaxSize = Number.isNaN(parsedCacheMaxSize) || parsedCacheMaxSize < 0
+    ? DEFAULT_CACHE_MAX_SIZE
+    : parsedCacheMaxSize;
+  cacheManager.setMaxSize(cacheMaxSize * 1024 * 1024);
+
+  // 等待中与运行中的任务引用的缓存条目不参与淘汰
+  cacheManager.setInUseResolver(() => {
+    const ids = new Set();
+    taskQueue.getActiveTasks().forEach(task => collectCacheIds(task.data, ids));
+    return ids;
+  });
+
+  // 任务持久化：JUDGE_TASK_STORE 为存储文件路径，设为 none 时不持久化
+  taskQueue.setStore(createTaskStore(process.env.JUDGE_TASK_STORE || undefined));
+  taskQueue.restore();
+
   // 注册 multipart 插件
   await fastify.register(import('@fastify/multipart'), {
     limits: {
-      fileSize: 100 * 1024 * 1024, // 100MB
+      fileSize: MAX_UPLOAD_SIZE,
     }
   });
   
@@ -68,6 +432,14 @@ export async function registerRoutes(fastify) {
     origin: true,
   });
 
+  // 注册 WebSocket
+  await fastify.register(import('@fastify/websocket'));
+
+  // 分块上传的请求体以流的形式交给路由处理，不在内存中缓冲
+  fastify.addContentTypeParser('application/octet-stream', (request, payload, done) => {
+    done(null, payload);
+  });
+
   // ========== 文件上传接口 ==========
   
   /**
@@ -75,45 +447,395 @@ export async function registerRoutes(fastify) {
    * 上传文件到缓存
    * Body: multipart/form-data
    *   - file: 文件内容
-   *   - type: 缓存类型 (source|input|output|checker)
-   * Response: { cacheId, expiresIn }
+   *   - type: 缓存类型 (source|input|output|checker)，大小上限见 MAX_FILE_SIZES，默认 source
+   *   - ttl: 有效期（秒），默认 300
+   *   - pinned: 为 true 时常驻，直到通过 DELETE /cache/:cacheId 删除
+   * Response: { cacheId, fileName, type, size, hash, pinned, expiresIn }
+   *
+   * 同类型、同内容的文件只保存一份，重复上传返回已有的 cacheId；
+   * 响应中的 fileName 为本次上传的文件名，条目元数据（/cache/:cacheId/meta、下载文件名）保留首次上传时的记录
    */
   fastify.post('/upload', { preHandler: authMiddleware }, async (request, reply) => {
     const parts = request.parts();
-    let fileBuffer = null;
-    let fileType = CacheType.SOURCE;
+    const validTypes = Object.values(CacheType);
+    let staged = null;
+    let fileType;
     let fileName = 'unknown';
+    let ttlField;
+    let pinnedField;
+    
+    try {
+      for await (const part of parts) {
+        if (part.type === 'field') {
+          if (part.fieldname === 'type') {
+            // 提前返回时请求体未读完，关闭连接以免残留数据影响同一连接上的后续请求
+            if (!validTypes.includes(part.value)) {
+              reply.header('Connection', 'close');
+              return reply.code(400).send({ error: `Invalid type. Valid types: ${validTypes.join(', ')}` });
+            }
+            fileType = part.value;
+          } else if (part.fieldname === 'ttl') {
+            ttlField = part.value;
+          } else if (part.fieldname === 'pinned') {
+            pinnedField = part.value;
+          }
+        } else if (part.type === 'file') {
+          fileName = part.filename;
+          if (staged) {
+            cacheManager.discardStaged(staged);
+          }
+          // type 在文件之前时按该类型的上限接收，否则先按各类型中最大的上限接收，收到 type 后再校验
+          staged = await cacheManager.stageStream(part.file, {
+            maxSize: Math.min(fileType ? MAX_FILE_SIZES[fileType] : MAX_FILE_SIZE_ANY, MAX_UPLOAD_SIZE),
+          });
+        }
+      }
+      
+      if (!staged) {
+        return reply.code(400).send({ error: 'No file uploaded' });
+      }
+      
+      fileType ??= CacheType.SOURCE;
+      if (staged.size > MAX_FILE_SIZES[fileType]) {
+        throw new FileTooLargeError(MAX_FILE_SIZES[fileType]);
+      }
+      
+      const { ttl, error } = parseCacheTtl(ttlField, pinnedField);
+      if (error) {
+        return reply.code(400).send({ error });
+      }
+      
+      // 存储到缓存
+      const cacheId = cacheManager.commitStaged(fileType, staged, { fileName }, { ttl });
+      
+      return formatUploadedCache(cacheManager.get(cacheId), fileName);
+    } catch (error) {
+      // 超过单次请求上限时由 multipart 插件中止
+      if (error.code === 'FST_REQ_FILE_TOO_LARGE') {
+        error = new FileTooLargeError(MAX_UPLOAD_SIZE);
+      }
+      if (error instanceof FileTooLargeError) {
+        // 中途中止时请求体未读完，关闭连接以免残留数据影响同一连接上的后续请求
+        reply.header('Connection', 'close');
+        return reply.code(413).send({ error: error.message });
+      }
+      if (error instanceof CacheFullError) {
+        // 接收过程中容量不足时同样中途中止
+        reply.header('Connection', 'close');
+        return reply.code(507).send({ error: error.message });
+      }
+      throw error;
+    } finally {
+      if (staged) {
+        cacheManager.discardStaged(staged);
+      }
+    }
+  });
+
+  /**
+   * POST /upload/archive
+   * 上传测试数据压缩包（zip 或 tar.gz），解压后按文件名配对写入缓存
+   * Body: multipart/form-data
+   *   - file: 压缩包，包含 1.in / 1.out（或 1.ans）等文件
+   *   - ttl: 有效期（秒），默认 300
+   *   - pinned: 为 true 时常驻
+   * Response: { manifest: [{ name, inputCacheId, outputCacheId }], skipped }
+   */
+  fastify.post('/upload/archive', { preHandler: authMiddleware }, async (request, reply) => {
+    const parts = request.parts();
+    let staged = null;
+    let ttlField;
+    let pinnedField;
     
-    for await (const part of parts) {
-      if (part.type === 'field') {
-        if (part.fieldname === 'type') {
-          fileType = part.value;
+    try {
+      for await (const part of parts) {
+        if (part.type === 'field') {
+          if (part.fieldname === 'ttl') {
+            ttlField = part.value;
+          } else if (part.fieldname === 'pinned') {
+            pinnedField = part.value;
+          }
+        } else if (part.type === 'file') {
+          if (staged) {
+            cacheManager.discardStaged(staged);
+          }
+          staged = await cacheManager.stageStream(part.file, { maxSize: MAX_UPLOAD_SIZE });
         }
-      } else if (part.type === 'file') {
-        fileName = part.filename;
-        fileBuffer = await part.toBuffer();
+      }
+      
+      if (!staged) {
+        return reply.code(400).send({ error: 'No file uploaded' });
+      }
+      
+      const { ttl, error } = parseCacheTtl(ttlField, pinnedField);
+      if (error) {
+        return reply.code(400).send({ error });
+      }
+      
+      return await expandTestcaseArchive(staged.tmpPath, { ttl });
+    } catch (error) {
+      if (error.code === 'FST_REQ_FILE_TOO_LARGE') {
+        error = new FileTooLargeError(MAX_UPLOAD_SIZE);
+      }
+      if (error instanceof FileTooLargeError) {
+        reply.header('Connection', 'close');
+        return reply.code(413).send({ error: error.message });
+      }
+      if (error instanceof ArchiveError) {
+        return reply.code(400).send({ error: error.message });
+      }
+      if (error instanceof CacheFullError) {
+        reply.header('Connection', 'close');
+        return reply.code(507).send({ error: error.message });
+      }
+      throw error;
+    } finally {
+      if (staged) {
+        cacheManager.discardStaged(staged);
       }
     }
+  });
+
+  /**
+   * POST /cache
+   * 以 JSON 内联内容写入缓存，适合小文件
+   * Body: { type?, content, encoding?, fileName?, ttl?, pinned? } 或其数组（一次写入多个，最多 MAX_INLINE_FILES 个）
+   *   - encoding: utf8（默认）或 base64
+   * Response: 同 POST /upload；请求体为数组时返回数组，顺序与请求一致
+   */
+  fastify.post('/cache', { preHandler: authMiddleware }, async (request, reply) => {
+    const body = request.body;
+    const items = Array.isArray(body) ? body : [body];
     
-    if (!fileBuffer) {
-      return reply.code(400).send({ error: 'No file uploaded' });
+    if (items.length === 0 || items.length > MAX_INLINE_FILES) {
+      return reply.code(400).send({ error: `Expected 1 to ${MAX_INLINE_FILES} files` });
     }
     
-    // 验证类型
+    // 先校验全部条目，避免部分写入
+    const files = [];
+    for (let i = 0; i < items.length; i++) {
+      const file = decodeInlineFile(items[i]);
+      if (file.error) {
+        const prefix = Array.isArray(body) ? `[${i}]: ` : '';
+        return reply.code(file.statusCode || 400).send({ error: prefix + file.error });
+      }
+      files.push(file);
+    }
+    
+    const results = [];
+    const committed = [];
+    try {
+      // 先为整批数据腾出空间，避免后写入的条目淘汰同一批中先写入的条目
+      cacheManager.ensureCapacity(files.reduce((sum, file) => sum + file.buffer.length, 0));
+      
+      for (const { type, buffer, fileName, ttl } of files) {
+        const cacheId = cacheManager.set(type, buffer, { fileName }, { ttl });
+        committed.push(cacheId);
+        results.push(formatUploadedCache(cacheManager.get(cacheId), fileName));
+      }
+    } catch (error) {
+      // 释放已写入条目的引用：新建的条目被删除，命中去重的已有条目只减少引用
+      committed.forEach(id => cacheManager.release(id));
+      if (error instanceof CacheFullError) {
+        return reply.code(507).send({ error: error.message });
+      }
+      throw error;
+    }
+    
+    return Array.isArray(body) ? results : results[0];
+  });
+
+  // ========== 分块上传接口 ==========
+  
+  /**
+   * POST /upload/chunked
+   * 创建分块上传会话
+   * Body: { type, fileName?, size, chunkSize?, ttl?, pinned? }
+   * Response: { uploadId, type, fileName, size, chunkSize, chunkCount, receivedChunks, nextChunk, expiresAt }
+   */
+  fastify.post('/upload/chunked', { preHandler: authMiddleware }, async (request, reply) => {
+    const {
+      type = CacheType.SOURCE,
+      fileName = 'unknown',
+      size,
+      chunkSize = DEFAULT_CHUNK_SIZE,
+      ttl: ttlSeconds,
+      pinned,
+    } = request.body || {};
+    
     const validTypes = Object.values(CacheType);
-    if (!validTypes.includes(fileType)) {
+    if (!validTypes.includes(type)) {
       return reply.code(400).send({ error: `Invalid type. Valid types: ${validTypes.join(', ')}` });
     }
+    if (!Number.isInteger(size) || size < 0) {
+      return reply.code(400).send({ error: 'size must be a non-negative integer' });
+    }
+    if (size > MAX_FILE_SIZES[type]) {
+      return reply.code(413).send({ error: new FileTooLargeError(MAX_FILE_SIZES[type]).message });
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+      return reply.code(400).send({ error: `chunkSize must be an integer between 1 and ${MAX_CHUNK_SIZE}` });
+    }
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      return reply.code(400).send({ error: 'pinned must be a boolean' });
+    }
     
-    // 存储到缓存
-    const cacheId = cacheManager.set(fileType, fileBuffer, { fileName });
+    const { ttl, error } = parseCacheTtl(ttlSeconds, pinned);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+    
+    try {
+      const session = uploadManager.create({
+        type,
+        fileName: String(fileName),
+        size,
+        chunkSize,
+        ttl: ttl === undefined ? CACHE_TTL : ttl,
+      });
+      
+      return session.toJSON();
+    } catch (error) {
+      if (error instanceof CacheFullError) {
+        return reply.code(507).send({ error: error.message });
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * GET /upload/chunked/:uploadId
+   * 查询上传进度，用于中断后确定从哪个分块继续
+   * Response: 同创建会话
+   */
+  fastify.get('/upload/chunked/:uploadId', { preHandler: authMiddleware }, async (request, reply) => {
+    const session = uploadManager.get(request.params.uploadId);
+    
+    if (!session) {
+      return reply.code(404).send({ error: 'Upload not found or expired' });
+    }
+    
+    return session.toJSON();
+  });
+
+  /**
+   * PUT /upload/chunked/:uploadId/:index
+   * 上传一个分块（Content-Type: application/octet-stream）
+   * 除最后一块外，每块长度必须等于 chunkSize；同一分块可重复上传
+   * Response: { uploadId, index, receivedChunks, nextChunk }
+   */
+  fastify.put('/upload/chunked/:uploadId/:index', { preHandler: authMiddleware }, async (request, reply) => {
+    const session = uploadManager.get(request.params.uploadId);
+    
+    if (!session) {
+      return reply.code(404).send({ error: 'Upload not found or expired' });
+    }
+    if (session.finalizing) {
+      return reply.code(409).send({ error: 'Upload is being finalized' });
+    }
+    
+    const index = Number(request.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= session.chunkCount) {
+      return reply.code(400).send({ error: `index must be an integer between 0 and ${session.chunkCount - 1}` });
+    }
+    if (!request.body || typeof request.body.pipe !== 'function') {
+      return reply.code(415).send({ error: 'Content-Type must be application/octet-stream' });
+    }
+    
+    try {
+      if (!await uploadManager.writeChunk(session, index, request.body)) {
+        return reply.code(400).send({ error: `Chunk ${index} must be ${session.chunkLength(index)} bytes` });
+      }
+    } catch (error) {
+      if (error instanceof FileTooLargeError) {
+        // 中途中止时请求体未读完，关闭连接以免残留数据影响同一连接上的后续请求
+        reply.header('Connection', 'close');
+        return reply.code(413).send({ error: `Chunk ${index} must be ${session.chunkLength(index)} bytes` });
+      }
+      throw error;
+    }
+    
+    const { receivedChunks, nextChunk } = session.toJSON();
     
     return {
-      cacheId,
-      fileName,
-      type: fileType,
-      size: fileBuffer.length,
-      expiresIn: 300, // 5分钟
+      uploadId: session.id,
+      index,
+      receivedChunks,
+      nextChunk,
+    };
+  });
+
+  /**
+   * POST /upload/chunked/:uploadId/finalize
+   * 合并所有分块并写入缓存
+   * Body: { sha256 } - 整个文件的 SHA-256，与合并结果不符时返回 400（会话保留，可重传分块后再次提交）
+   * Response: 同 POST /upload
+   */
+  fastify.post('/upload/chunked/:uploadId/finalize', { preHandler: authMiddleware }, async (request, reply) => {
+    const session = uploadManager.get(request.params.uploadId);
+    const { sha256 } = request.body || {};
+    
+    if (!session) {
+      return reply.code(404).send({ error: 'Upload not found or expired' });
+    }
+    if (session.finalizing) {
+      return reply.code(409).send({ error: 'Upload is being finalized' });
+    }
+    if (session.writing > 0) {
+      return reply.code(409).send({ error: 'Chunks are still being uploaded' });
+    }
+    if (typeof sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(sha256)) {
+      return reply.code(400).send({ error: 'sha256 must be a 64-character hex string' });
+    }
+    if (!session.isComplete()) {
+      return reply.code(400).send({ error: `Missing chunks, next chunk: ${session.nextChunk()}` });
+    }
+    
+    session.finalizing = true;
+    let staged = null;
+    
+    try {
+      staged = await uploadManager.assemble(session);
+      
+      if (staged.hash !== sha256.toLowerCase()) {
+        return reply.code(400).send({ error: `SHA-256 mismatch: received data hashes to ${staged.hash}` });
+      }
+      
+      const cacheId = uploadManager.commit(session, staged);
+      
+      return formatUploadedCache(cacheManager.get(cacheId), session.fileName);
+    } catch (error) {
+      if (error instanceof CacheFullError) {
+        return reply.code(507).send({ error: error.message });
+      }
+      throw error;
+    } finally {
+      session.finalizing = false;
+      if (staged) {
+        cacheManager.discardStaged(staged);
+      }
+    }
+  });
+
+  /**
+   * DELETE /upload/chunked/:uploadId
+   * 放弃上传并删除已接收的分块
+   */
+  fastify.delete('/upload/chunked/:uploadId', { preHandler: authMiddleware }, async (request, reply) => {
+    const session = uploadManager.get(request.params.uploadId);
+    
+    if (!session) {
+      return reply.code(404).send({ error: 'Upload not found or expired' });
+    }
+    if (session.finalizing) {
+      return reply.code(409).send({ error: 'Upload is being finalized' });
+    }
+    
+    uploadManager.delete(session.id);
+    
+    return {
+      uploadId: session.id,
+      message: 'Upload cancelled',
     };
   });
 
@@ -122,16 +844,34 @@ export async function registerRoutes(fastify) {
   /**
    * POST /compile
    * 提交编译任务
-   * Body: { sourceCacheId, language?, priority? }
+   * Body: { sourceCacheId, language?, compileOptions?, extraFiles?, priority?, callbackUrl? }
+   *   - compileOptions: { standard?, optimization?, defines? }，可用取值见 GET /languages
+   *   - extraFiles: [{ cacheId, fileName }]，以 fileName 放在源文件旁一同编译（头文件、grader 等）
    * Response: { taskId, status }
    */
   fastify.post('/compile', { preHandler: authMiddleware }, async (request, reply) => {
-    const { sourceCacheId, language = 'cpp', priority = 0 } = request.body || {};
+    const {
+      sourceCacheId,
+      language = languageRegistry.defaultLanguage,
+      compileOptions,
+      extraFiles,
+      priority = 0,
+      callbackUrl,
+    } = request.body || {};
+
+    if (callbackUrl !== undefined && !isValidCallbackUrl(callbackUrl)) {
+      return reply.code(400).send({ error: 'callbackUrl must be an http(s) URL' });
+    }
     
     if (!sourceCacheId) {
       return reply.code(400).send({ error: 'sourceCacheId is required' });
     }
     
+    const compileError = validateCompileRequest({ language, compileOptions, extraFiles });
+    if (compileError) {
+      return reply.code(400).send({ error: compileError });
+    }
+    
     // 检查源代码缓存是否存在
     if (!cacheManager.has(sourceCacheId)) {
       return reply.code(400).send({ error: 'Source cache not found or expired' });
@@ -141,7 +881,9 @@ export async function registerRoutes(fastify) {
     const taskId = taskQueue.addTask(TaskType.COMPILE, {
       sourceCacheId,
       language,
-    }, priority);
+      compileOptions,
+      extraFiles: extraFiles?.map(({ cacheId, fileName }) => ({ cacheId, fileName })),
+    }, priority, { callbackUrl });
     
     return {
       taskId,
@@ -153,7 +895,7 @@ export async function registerRoutes(fastify) {
   /**
    * POST /compile/checker
    * 提交自定义 checker 编译任务
-   * Body: { sourceCacheId, language?, priority? }
+   * Body: { sourceCacheId, language?, priority?, callbackUrl? }
    * Response: { taskId, status }
    * 
    * 说明：
@@ -162,12 +904,30 @@ export async function registerRoutes(fastify) {
    * - checker 需要遵循 testlib 规范
    */
   fastify.post('/compile/checker', { preHandler: authMiddleware }, async (request, reply) => {
-    const { sourceCacheId, language = 'cpp', priority = 0 } = request.body || {};
+    const {
+      sourceCacheId,
+      language = languageRegistry.defaultLanguage,
+      priority = 0,
+      callbackUrl,
+    } = request.body || {};
+
+    if (callbackUrl !== undefined && !isValidCallbackUrl(callbackUrl)) {
+      return reply.code(400).send({ error: 'callbackUrl must be an http(s) URL' });
+    }
     
     if (!sourceCacheId) {
       return reply.code(400).send({ error: 'sourceCacheId is required' });
     }
     
+    const languageError = validateLanguage(language);
+    if (languageError) {
+      return reply.code(400).send({ error: languageError });
+    }
+    // checker 由评测流程直接执行，需要生成可执行文件
+    if (!languageRegistry.get(language).binary) {
+      return reply.code(400).send({ error: `Language ${language} cannot be used for checkers` });
+    }
+    
     // 检查源代码缓存是否存在
     if (!cacheManager.has(sourceCacheId)) {
       return reply.code(400).send({ error: 'Checker source cache not found or expired' });
@@ -177,7 +937,7 @@ export async function registerRoutes(fastify) {
     const taskId = taskQueue.addTask(TaskType.COMPILE_CHECKER, {
       sourceCacheId,
       language,
-    }, priority);
+    }, priority, { callbackUrl });
     
     return {
       taskId,
@@ -194,7 +954,7 @@ export async function registerRoutes(fastify) {
    * Body: {
    *   binaryCacheId, inputCacheId, outputCacheId,
    *   checkerName?, timeLimit?, memoryLimit?,
-   *   isFileInput?, inputFileName?, outputFileName?, priority?
+   *   isFileInput?, inputFileName?, outputFileName?, priority?, callbackUrl?
    * }
    * Response: { taskId, status }
    */
@@ -210,7 +970,12 @@ export async function registerRoutes(fastify) {
       inputFileName = 'input.txt',
       outputFileName = 'output.txt',
       priority = 0,
+      callbackUrl,
     } = request.body || {};
+
+    if (callbackUrl !== undefined && !isValidCallbackUrl(callbackUrl)) {
+      return reply.code(400).send({ error: 'callbackUrl must be an http(s) URL' });
+    }
     
     // 验证必填参数
     if (!binaryCacheId || !inputCacheId || !outputCacheId) {
@@ -241,7 +1006,118 @@ export async function registerRoutes(fastify) {
       isFileInput,
       inputFileName,
       outputFileName,
-    }, priority);
+    }, priority, { callbackUrl });
+    
+    return {
+      taskId,
+      status: 'pending',
+      message: 'Task submitted successfully',
+    };
+  });
+
+  /**
+   * POST /judge-batch
+   * 提交批量评测任务（同一程序评测多个测试点）
+   * Body: {
+   *   binaryCacheId, cases: [{ inputCacheId, outputCacheId, timeLimit?, memoryLimit?, score? }],
+   *   subtasks?: [{ cases: [caseIndex], score?, policy?, dependencies?: [subtaskIndex] }],
+   *   mode?, checkerName?, timeLimit?, memoryLimit?,
+   *   isFileInput?, inputFileName?, outputFileName?, priority?, callbackUrl?
+   * }
+   * Response: { taskId, status }
+   */
+  fastify.post('/judge-batch', { preHandler: authMiddleware }, async (request, reply) => {
+    const {
+      binaryCacheId,
+      cases,
+      subtasks,
+      mode = JudgeMode.OI,
+      checkerName = 'icmp',
+      timeLimit = 1000,
+      memoryLimit = 128 * 1024,
+      isFileInput = false,
+      inputFileName = 'input.txt',
+      outputFileName = 'output.txt',
+      priority = 0,
+      callbackUrl,
+    } = request.body || {};
+
+    if (callbackUrl !== undefined && !isValidCallbackUrl(callbackUrl)) {
+      return reply.code(400).send({ error: 'callbackUrl must be an http(s) URL' });
+    }
+    
+    // 验证必填参数
+    if (!binaryCacheId || !Array.isArray(cases) || cases.length === 0) {
+      return reply.code(400).send({ 
+        error: 'binaryCacheId and a non-empty cases array are required' 
+      });
+    }
+    
+    // 检查缓存
+    if (!cacheManager.has(binaryCacheId)) {
+      return reply.code(400).send({ error: 'Binary cache not found or expired' });
+    }
+    
+    for (let i = 0; i < cases.length; i++) {
+      const testCase = cases[i] || {};
+      
+      if (!testCase.inputCacheId || !testCase.outputCacheId) {
+        return reply.code(400).send({ 
+          error: `cases[${i}]: inputCacheId and outputCacheId are required` 
+        });
+      }
+      if (!cacheManager.has(testCase.inputCacheId)) {
+        return reply.code(400).send({ error: `cases[${i}]: Input cache not found or expired` });
+      }
+      if (!cacheManager.has(testCase.outputCacheId)) {
+        return reply.code(400).send({ error: `cases[${i}]: Output cache not found or expired` });
+      }
+    }
+    
+    const validModes = Object.values(JudgeMode);
+    if (!validModes.includes(mode)) {
+      return reply.code(400).send({ error: `Invalid mode. Valid modes: ${validModes.join(', ')}` });
+    }
+    
+    if (subtasks !== undefined) {
+      const subtaskError = validateSubtasks(subtasks, cases.length);
+      if (subtaskError) {
+        return reply.code(400).send({ error: subtaskError });
+      }
+      
+      // 按子任务计分时测试点分数不生效，拒绝而不是静默忽略
+      const scoredCase = cases.findIndex(testCase => testCase.score !== undefined);
+      if (scoredCase !== -1) {
+        return reply.code(400).send({
+          error: `cases[${scoredCase}]: score cannot be used with subtasks, set subtasks[].score instead`
+        });
+      }
+    }
+    
+    // 添加任务
+    const taskId = taskQueue.addTask(TaskType.JUDGE_BATCH, {
+      binaryCacheId,
+      cases: cases.map(({ inputCacheId, outputCacheId, timeLimit, memoryLimit, score }) => ({
+        inputCacheId,
+        outputCacheId,
+        timeLimit,
+        memoryLimit,
+        score,
+      })),
+      subtasks: subtasks?.map(({ cases, score, policy, dependencies }) => ({
+        cases,
+        score,
+        policy,
+        dependencies,
+      })),
+      mode,
+      checkerName,
+      timeLimit,
+      memoryLimit,
+      isFileInput,
+      inputFileName,
+      outputFileName,
+    }, priority, { callbackUrl });
     
     return {
       taskId,
@@ -258,7 +1134,7 @@ export async function registerRoutes(fastify) {
    * Body: {
    *   binaryCacheId, inputCacheId,
    *   timeLimit?, memoryLimit?,
-   *   isFileInput?, inputFileName?, outputFileName?, priority?
+   *   isFileInput?, inputFileName?, outputFileName?, priority?, callbackUrl?
    * }
    * Response: { taskId, status }
    */
@@ -272,7 +1148,12 @@ export async function registerRoutes(fastify) {
       inputFileName = 'input.txt',
       outputFileName = 'output.txt',
       priority = 0,
+      callbackUrl,
     } = request.body || {};
+
+    if (callbackUrl !== undefined && !isValidCallbackUrl(callbackUrl)) {
+      return reply.code(400).send({ error: 'callbackUrl must be an http(s) URL' });
+    }
     
     // 验证必填参数
     if (!binaryCacheId || !inputCacheId) {
@@ -298,7 +1179,7 @@ export async function registerRoutes(fastify) {
       isFileInput,
       inputFileName,
       outputFileName,
-    }, priority);
+    }, priority, { callbackUrl });
     
     return {
       taskId,
@@ -316,7 +1197,7 @@ export async function registerRoutes(fastify) {
    *   userBinaryCacheId, interactorBinaryCacheId,
    *   timeLimit?, memoryLimit?,
    *   interactorTimeLimit?, interactorMemoryLimit?,
-   *   inputCacheId?, scoreFileName?, messageFileName?, priority?
+   *   inputCacheId?, scoreFileName?, messageFileName?, priority?, callbackUrl?
    * }
    * Response: { taskId, status }
    */
@@ -332,7 +1213,12 @@ export async function registerRoutes(fastify) {
       scoreFileName = 'score.txt',
       messageFileName = 'message.txt',
       priority = 0,
+      callbackUrl,
     } = request.body || {};
+
+    if (callbackUrl !== undefined && !isValidCallbackUrl(callbackUrl)) {
+      return reply.code(400).send({ error: 'callbackUrl must be an http(s) URL' });
+    }
     
     // 验证必填参数
     if (!userBinaryCacheId || !interactorBinaryCacheId) {
@@ -363,7 +1249,7 @@ export async function registerRoutes(fastify) {
       inputCacheId,
       scoreFileName,
       messageFileName,
-    }, priority);
+    }, priority, { callbackUrl });
     
     return {
       taskId,
@@ -372,28 +1258,347 @@ export async function registerRoutes(fastify) {
     };
   });
 
+  // ========== 一次提交接口 ==========
+  
+  /**
+   * POST /submit
+   * 一次提交源代码与数据，在同一任务中编译并运行（或评测）
+   * Body: {
+   *   source | sourceCacheId, language?, compileOptions?, extraFiles?,
+   *   action?: 'run' | 'judge'（默认：提供答案时为 judge，否则为 run）,
+   *   input | inputCacheId, output | outputCacheId（judge 时必需）,
+   *   checkerName?, timeLimit?, memoryLimit?, isFileInput?, inputFileName?, outputFileName?,
+   *   priority?, callbackUrl?
+   * }
+   *   - source / input / output: 字符串，或 { content, encoding?, fileName? }，写入缓存后使用
+   * Response: { taskId, status, sourceCacheId, inputCacheId, outputCacheId? }
+   */
+  fastify.post('/submit', { preHandler: authMiddleware }, async (request, reply) => {
+    const {
+      source,
+      sourceCacheId,
+      input,
+      inputCacheId,
+      output,
+      outputCacheId,
+      action = output !== undefined || outputCacheId !== undefined ? SubmitAction.JUDGE : SubmitAction.RUN,
+      language = languageRegistry.defaultLanguage,
+      compileOptions,
+      extraFiles,
+      checkerName,
+      timeLimit,
+      memoryLimit,
+      isFileInput,
+      inputFileName,
+      outputFileName,
+      priority = 0,
+      callbackUrl,
+    } = request.body || {};
+    
+    if (callbackUrl !== undefined && !isValidCallbackUrl(callbackUrl)) {
+      return reply.code(400).send({ error: 'callbackUrl must be an http(s) URL' });
+    }
+    
+    const validActions = Object.values(SubmitAction);
+    if (!validActions.includes(action)) {
+      return reply.code(400).send({ error: `Invalid action. Valid actions: ${validActions.join(', ')}` });
+    }
+    
+    const compileError = validateCompileRequest({ language, compileOptions, extraFiles });
+    if (compileError) {
+      return reply.code(400).send({ error: compileError });
+    }
+    
+    const files = {
+      source: resolveSubmitFile('source', source, sourceCacheId, CacheType.SOURCE),
+      input: resolveSubmitFile('input', input, inputCacheId, CacheType.INPUT),
+      // 运行时不需要答案
+      output: action === SubmitAction.JUDGE
+        ? resolveSubmitFile('output', output, outputCacheId, CacheType.OUTPUT)
+        : {},
+    };
+    
+    for (const resolved of Object.values(files)) {
+      if (resolved.error) {
+        return reply.code(resolved.statusCode || 400).send({ error: resolved.error });
+      }
+    }
+    
+    if (!files.source.file && !files.source.cacheId) {
+      return reply.code(400).send({ error: 'source or sourceCacheId is required' });
+    }
+    if (!files.input.file && !files.input.cacheId) {
+      return reply.code(400).send({ error: 'input or inputCacheId is required' });
+    }
+    if (action === SubmitAction.JUDGE && !files.output.file && !files.output.cacheId) {
+      return reply.code(400).send({ error: 'output or outputCacheId is required when action is judge' });
+    }
+    
+    // 内联内容写入缓存
+    const cacheIds = {};
+    try {
+      for (const [field, resolved] of Object.entries(files)) {
+        if (resolved.file) {
+          const { type, buffer, fileName, ttl } = resolved.file;
+          cacheIds[field] = cacheManager.set(type, buffer, { fileName }, { ttl });
+        } else if (resolved.cacheId) {
+          cacheIds[field] = resolved.cacheId;
+        }
+      }
+    } catch (error) {
+      if (error instanceof CacheFullError) {
+        return reply.code(507).send({ error: error.message });
+      }
+      throw error;
+    }
+    
+    // 添加任务
+    const taskId = taskQueue.addTask(TaskType.SUBMIT, {
+      action,
+      sourceCacheId: cacheIds.source,
+      language,
+      compileOptions,
+      extraFiles: extraFiles?.map(({ cacheId, fileName }) => ({ cacheId, fileName })),
+      inputCacheId: cacheIds.input,
+      outputCacheId: cacheIds.output,
+      checkerName,
+      timeLimit,
+      memoryLimit,
+      isFileInput,
+      inputFileName,
+      outputFileName,
+    }, priority, { callbackUrl });
+    
+    return {
+      taskId,
+      status: 'pending',
+      message: 'Task submitted successfully',
+      sourceCacheId: cacheIds.source,
+      inputCacheId: cacheIds.input,
+      outputCacheId: cacheIds.output,
+    };
+  });
+
   // ========== 任务状态查询接口 ==========
   
   /**
    * GET /task/:taskId
    * 查询任务状态
+   * Query: wait? - 长轮询秒数，任务未结束时最多等待该时长（上限 MAX_TASK_WAIT 秒）
    * Response: { taskId, type, status, result?, error?, ... }
    */
   fastify.get('/task/:taskId', { preHandler: authMiddleware }, async (request, reply) => {
     const { taskId } = request.params;
     
-    const task = taskQueue.getTask(taskId);
+    let task = taskQueue.getTask(taskId);
     
     if (!task) {
       return reply.code(404).send({ error: 'Task not found' });
     }
     
+    // 长轮询：等待任务结束或超时，客户端断开时停止等待
+    const wait = Number.parseFloat(request.query.wait);
+    if (!task.isFinished() && wait > 0) {
+      const controller = new AbortController();
+      const onClose = () => controller.abort();
+      reply.raw.on('close', onClose);
+      
+      task = await taskQueue.waitForTask(taskId, Math.min(wait, MAX_TASK_WAIT) * 1000, controller.signal);
+      
+      reply.raw.off('close', onClose);
+    }
+    
     const response = task.toJSON();
     
     return response;
   });
 
-  // ========== 缓存下载接口 ==========
+  /**
+   * GET /task/:taskId/events
+   * 以 Server-Sent Events 推送任务状态变化与执行进度，任务结束后关闭连接
+   * Events:
+   *   - status: 任务 JSON（连接建立时先推送一次当前状态）
+   *   - progress: { id, progress }
+   */
+  fastify.get('/task/:taskId/events', { preHandler: authMiddleware }, async (request, reply) => {
+    const { taskId } = request.params;
+    
+    const task = taskQueue.getTask(taskId);
+    
+    if (!task) {
+      return reply.code(404).send({ error: 'Task not found' });
+    }
+    
+    const onStatus = (updated) => {
+      if (updated.id !== taskId) return;
+      stream.send('status', updated.toJSON());
+      if (updated.isFinished()) {
+        stream.close();
+      }
+    };
+    
+    const onProgress = (updated, progress) => {
+      if (updated.id !== taskId) return;
+      stream.send('progress', { id: taskId, progress });
+    };
+    
+    const stream = openEventStream(request, reply, () => {
+      taskQueue.off('status', onStatus);
+      taskQueue.off('progress', onProgress);
+    });
+    
+    taskQueue.on('status', onStatus);
+    taskQueue.on('progress', onProgress);
+    
+    // 推送当前状态（已结束的任务推送后立即关闭）
+    onStatus(task);
+    
+    return reply;
+  });
+
+  /**
+   * DELETE /task/:taskId
+   * 取消任务（等待中的任务从队列移除，运行中的任务通知处理器终止）
+   * Response: { taskId, status, previousStatus }
+   */
+  fastify.delete('/task/:taskId', { preHandler: authMiddleware }, async (request, reply) => {
+    const { taskId } = request.params;
+    
+    const { task, previousStatus } = taskQueue.cancelTask(taskId);
+    
+    if (!task) {
+      return reply.code(404).send({ error: 'Task not found' });
+    }
+    
+    if (previousStatus !== TaskStatus.PENDING && previousStatus !== TaskStatus.RUNNING) {
+      return reply.code(409).send({ error: `Task already ${previousStatus}` });
+    }
+    
+    return {
+      taskId,
+      status: task.status,
+      previousStatus,
+      message: 'Task cancelled',
+    };
+  });
+
+  // ========== 缓存接口 ==========
+  
+  /**
+   * GET /cache/by-hash/:sha256
+   * 按内容哈希查找缓存，上传前可用于判断数据是否已存在
+   * Query: type? - 只查找指定类型
+   * Response: { hash, entries: [{ cacheId, type, fileName, size, expiresAt }] }
+   */
+  fastify.get('/cache/by-hash/:sha256', { preHandler: authMiddleware }, async (request, reply) => {
+    const { sha256 } = request.params;
+    const { type } = request.query;
+    
+    if (!/^[0-9a-f]{64}$/i.test(sha256)) {
+      return reply.code(400).send({ error: 'sha256 must be a 64-character hex string' });
+    }
+    
+    const validTypes = Object.values(CacheType);
+    if (type !== undefined && !validTypes.includes(type)) {
+      return reply.code(400).send({ error: `Invalid type. Valid types: ${validTypes.join(', ')}` });
+    }
+    
+    const entries = cacheManager.findByHash(sha256, type);
+    
+    if (entries.length === 0) {
+      return reply.code(404).send({ error: 'No cache entry with this hash' });
+    }
+    
+    return {
+      hash: sha256.toLowerCase(),
+      entries: entries.map(formatCacheEntry),
+    };
+  });
+  
+  /**
+   * GET /cache
+   * 列出缓存条目，按创建时间从新到旧排列
+   * Query: type? - 只列出指定类型; offset? - 跳过的条目数，默认 0; limit? - 每页条目数，默认 50，上限 1000
+   * Response: { total, offset, limit, entries: [{ cacheId, type, fileName, size, pinned, expiresAt }] }
+   */
+  fastify.get('/cache', { preHandler: authMiddleware }, async (request, reply) => {
+    const { type, offset: rawOffset = '0', limit: rawLimit = String(DEFAULT_CACHE_PAGE_SIZE) } = request.query;
+    
+    const validTypes = Object.values(CacheType);
+    if (type !== undefined && !validTypes.includes(type)) {
+      return reply.code(400).send({ error: `Invalid type. Valid types: ${validTypes.join(', ')}` });
+    }
+    
+    const offset = Number(rawOffset);
+    const limit = Number(rawLimit);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return reply.code(400).send({ error: 'offset must be a non-negative integer' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CACHE_PAGE_SIZE) {
+      return reply.code(400).send({ error: `limit must be an integer between 1 and ${MAX_CACHE_PAGE_SIZE}` });
+    }
+    
+    const { total, items } = cacheManager.list({ type, offset, limit });
+    
+    return {
+      total,
+      offset,
+      limit,
+      entries: items.map(formatCacheEntry),
+    };
+  });
+  
+  /**
+   * HEAD /cache/:cacheId
+   * 检查缓存是否存在（提交任务前的轻量校验），不返回文件内容
+   * Response: 200 / 404，响应头 Content-Length、ETag（内容 SHA-256）
+   */
+  fastify.head('/cache/:cacheId', { preHandler: authMiddleware }, async (request, reply) => {
+    const cache = cacheManager.get(request.params.cacheId);
+    
+    if (!cache) {
+      return reply.code(404).send();
+    }
+    
+    reply.header('Content-Type', 'application/octet-stream');
+    reply.header('Content-Length', cache.metadata.size);
+    if (cache.metadata.hash) {
+      reply.header('ETag', `"${cache.metadata.hash}"`);
+    }
+    
+    return reply.send();
+  });
+  
+  /**
+   * GET /cache/:cacheId/meta
+   * 获取缓存元数据
+   * Response: { cacheId, type, pinned, refs, createdAt, expiresAt, expiresIn, metadata, compiles? }
+   *   - refs: 引用数，同一内容每写入一次加一，DELETE 减一
+   *   - metadata: 写入时记录的信息，如 size、hash、fileName，编译产物另含 language
+   *   - compiles: 编译产物独有，得到该产物的各次编译（参数不同但产物相同时有多条）
+   *     的 originalSource、compileOptions、extraFiles、compileInfo
+   */
+  fastify.get('/cache/:cacheId/meta', { preHandler: authMiddleware }, async (request, reply) => {
+    const { cacheId } = request.params;
+    
+    const cache = cacheManager.get(cacheId);
+    
+    if (!cache) {
+      return reply.code(404).send({ error: 'Cache not found or expired' });
+    }
+    
+    return {
+      cacheId,
+      type: cache.type,
+      pinned: cache.pinned,
+      refs: cache.refs,
+      createdAt: cache.createdAt,
+      expiresAt: cache.expiresAt,
+      expiresIn: cacheExpiresIn(cache),
+      metadata: cache.metadata,
+      ...(cache.type === CacheType.BINARY && { compiles: Object.values(cache.keys) }),
+    };
+  });
   
   /**
    * GET /cache/:cacheId
@@ -418,6 +1623,89 @@ export async function registerRoutes(fastify) {
     return fileBuffer;
   });
 
+  /**
+   * PATCH /cache/:cacheId
+   * 修改缓存有效期
+   * Body: { ttl?, pinned? }
+   *   - ttl: 新的有效期（秒），从当前时间开始计算
+   *   - pinned: true 常驻；false 取消常驻（未指定 ttl 时恢复默认有效期）
+   * Response: { cacheId, pinned, refs, expiresAt, expiresIn }
+   *
+   * 条目有多个引用（同一内容被多次写入）时只允许延长有效期，取消常驻或缩短有效期返回 409
+   */
+  fastify.patch('/cache/:cacheId', { preHandler: authMiddleware }, async (request, reply) => {
+    const { cacheId } = request.params;
+    const { ttl: ttlSeconds, pinned } = request.body || {};
+    
+    if (ttlSeconds === undefined && pinned === undefined) {
+      return reply.code(400).send({ error: 'ttl or pinned is required' });
+    }
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      return reply.code(400).send({ error: 'pinned must be a boolean' });
+    }
+    
+    const { ttl, error } = parseCacheTtl(ttlSeconds, pinned);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+    
+    const updated = cacheManager.updateTtl(cacheId, ttl);
+    if (updated === null) {
+      return reply.code(404).send({ error: 'Cache not found or expired' });
+    }
+    
+    const cache = cacheManager.get(cacheId);
+    
+    if (!updated) {
+      return reply.code(409).send({
+        error: `Cache has ${cache.refs} references, its lifetime can only be extended`,
+      });
+    }
+    
+    return {
+      cacheId,
+      pinned: cache.pinned,
+      refs: cache.refs,
+      expiresAt: cache.expiresAt,
+      expiresIn: cacheExpiresIn(cache),
+    };
+  });
+
+  /**
+   * DELETE /cache/:cacheId
+   * 释放一个引用（释放常驻缓存），最后一个引用释放后删除缓存
+   * Response: { cacheId, refs, message }
+   *   - refs: 剩余引用数，0 表示缓存已删除
+   */
+  fastify.delete('/cache/:cacheId', { preHandler: authMiddleware }, async (request, reply) => {
+    const { cacheId } = request.params;
+    
+    const refs = cacheManager.release(cacheId);
+    if (refs === null) {
+      return reply.code(404).send({ error: 'Cache not found or expired' });
+    }
+    
+    return {
+      cacheId,
+      refs,
+      message: refs === 0 ? 'Cache deleted' : 'Cache reference released',
+    };
+  });
+
+  // ========== 语言接口 ==========
+  
+  /**
+   * GET /languages
+   * 获取支持的编程语言及其编译 / 运行配置
+   * Response: { default, languages: [{ id, name, sourceFileName, compile, run, flags, timeMultiplier, memoryMultiplier, binary, compileOptions }] }
+   */
+  fastify.get('/languages', { preHandler: authMiddleware }, async (request, reply) => {
+    return {
+      default: languageRegistry.defaultLanguage,
+      languages: languageRegistry.list(),
+    };
+  });
+
   // ========== 状态接口 ==========
   
   /**
@@ -433,6 +1721,10 @@ export async function registerRoutes(fastify) {
     };
   });
 
+  // ========== WebSocket 控制通道 ==========
+
+  await registerWebSocketRoutes(fastify, { authMiddleware });
+
   // ========== 健康检查 ==========
   
   /**
@@ -0,0 +1,158 @@
+/**
+ * WebSocket 控制通道
+ * 客户端通过一条已鉴权的连接调用 HTTP API、接收任务完成通知与队列状态推送
+ *
+ * 客户端 -> 服务器：
+ *   { id, type: 'request', method, url, body? }  转发到对应的 HTTP 接口（复用其参数校验）
+ *   { id, type: 'subscribe', taskId }            订阅任务完成通知
+ *   { id, type: 'unsubscribe', taskId }          取消订阅
+ *
+ * 服务器 -> 客户端：
+ *   { id, type: 'response', statusCode, body }   request 的响应
+ *   { id, type: 'ack', taskId }                  subscribe / unsubscribe 的确认
+ *   { type: 'task', task }                       已订阅任务结束（通过本连接提交的任务自动订阅）
+ *   { type: 'queue', queue }                     队列状态（连接时推送一次，之后变化时推送）
+ *   { id, type: 'error', error }                 消息格式错误（含不支持的 method）
+ */
+
+import { taskQueue } from '../utils/queue.js';
+
+// 队列状态推送的最小间隔（毫秒）
+const QUEUE_PUSH_INTERVAL = 1000;
+
+// request 消息允许的 HTTP 方法
+const ALLOWED_METHODS = new Set(['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']);
+
+/**
+ * 注册 WebSocket 路由
+ * @param {object} fastify - Fastify 实例（需已注册 @fastify/websocket）
+ * @param {object} options
+ * @param {function} options.authMiddleware - 与 HTTP 接口相同的鉴权中间件
+ */
+export async function registerWebSocketRoutes(fastify, { authMiddleware }) {
+  /**
+   * GET /ws
+   * WebSocket 控制通道，鉴权方式与 HTTP 接口相同（X-Auth-Token header 或 ?token=）
+   */
+  fastify.get('/ws', { websocket: true, preHandler: authMiddleware }, (socket, request) => {
+    const subscriptions = new Set(); // 订阅的任务 ID
+    let queueTimer = null;
+
+    const send = (message) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+
+    const pushQueueStatus = () => {
+      queueTimer = null;
+      send({ type: 'queue', queue: taskQueue.getStatus() });
+    };
+
+    const onStatus = (task) => {
+      if (subscriptions.has(task.id) && task.isFinished()) {
+        subscriptions.delete(task.id);
+        send({ type: 'task', task: task.toJSON() });
+      }
+
+      // 合并短时间内的多次变化
+      if (!queueTimer) {
+        queueTimer = setTimeout(pushQueueStatus, QUEUE_PUSH_INTERVAL);
+      }
+    };
+
+    const subscribe = (taskId) => {
+      const task = taskQueue.getTask(taskId);
+      if (!task) {
+        return false;
+      }
+
+      if (task.isFinished()) {
+        send({ type: 'task', task: task.toJSON() });
+      } else {
+        subscriptions.add(taskId);
+      }
+      return true;
+    };
+
+    // 通过内部请求调用 HTTP 接口，与 HTTP 客户端共享参数校验与鉴权
+    const forward = async ({ id, method = 'GET', url, body }) => {
+      if (typeof url !== 'string' || !url.startsWith('/') || url.startsWith('/ws')) {
+        send({ id, type: 'error', error: 'url must be an API path' });
+        return;
+      }
+
+      if (typeof method !== 'string' || !ALLOWED_METHODS.has(method.toUpperCase())) {
+        send({ id, type: 'error', error: `method must be one of: ${[...ALLOWED_METHODS].join(', ')}` });
+        return;
+      }
+
+      const response = await fastify.inject({
+        method: method.toUpperCase(),
+        url,
+        headers: { 'x-auth-token': process.env.JUDGE_TOKEN },
+        payload: body,
+      });
+
+      let responseBody = response.body;
+      try {
+        responseBody = JSON.parse(response.body);
+      } catch (e) {
+        // 非 JSON 响应（如缓存文件下载）原样返回
+      }
+
+      send({ id, type: 'response', statusCode: response.statusCode, body: responseBody });
+
+      // 通过本连接提交的任务自动订阅完成通知；先发送响应，任务已结束时客户端也会先收到 taskId 再收到通知
+      if (method.toUpperCase() === 'POST' && response.statusCode === 200 && responseBody?.taskId) {
+        subscribe(responseBody.taskId);
+      }
+    };
+
+    socket.on('message', async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (e) {
+        send({ type: 'error', error: 'Invalid JSON message' });
+        return;
+      }
+
+      const { id, type, taskId } = message || {};
+
+      try {
+        switch (type) {
+          case 'request':
+            await forward(message);
+            break;
+          case 'subscribe':
+            if (subscribe(taskId)) {
+              send({ id, type: 'ack', taskId });
+            } else {
+              send({ id, type: 'error', error: 'Task not found' });
+            }
+            break;
+          case 'unsubscribe':
+            subscriptions.delete(taskId);
+            send({ id, type: 'ack', taskId });
+            break;
+          default:
+            send({ id, type: 'error', error: `Unknown message type: ${type}` });
+        }
+      } catch (error) {
+        request.log.error(error);
+        send({ id, type: 'error', error: error instanceof Error ? error.message : String(error) });
+      }
+    });
+
+    socket.on('close', () => {
+      taskQueue.off('status', onStatus);
+      if (queueTimer) {
+        clearTimeout(queueTimer);
+      }
+    });
+
+    taskQueue.on('status', onStatus);
+    pushQueueStatus();
+  });
+}
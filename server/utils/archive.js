@@ -0,0 +1,252 @@
+/**
+ * 测试数据压缩包解析模块
+ * 将 zip / tar.gz 中的 x.in 与 x.out（或 x.ans）按文件名配对，逐个写入缓存
+ *
+ * 条目内容直接以流写入缓存暂存目录，不按压缩包内的路径落盘；
+ * 仍会拒绝含绝对路径或 .. 的条目，并按实际解压字节数限制单个文件与总大小，防止解压炸弹
+ * 暂存的内容在写入缓存前即计入缓存容量，超出时中止解压；写入缓存途中失败时撤销已写入的条目
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+import tar from 'tar-stream';
+import { cacheManager, CacheType, MAX_FILE_SIZES, FileTooLargeError, CacheFullError } from './cache.js';
+
+// 压缩包内文件数量上限
+const MAX_ENTRIES = 1000;
+
+// 解压后的总大小上限（字节）
+const MAX_TOTAL_SIZE = 2 * 1024 * 1024 * 1024; // 2GB
+
+// 输入 / 输出文件扩展名
+const INPUT_EXTENSIONS = ['.in'];
+const OUTPUT_EXTENSIONS = ['.out', '.ans'];
+
+/**
+ * 压缩包格式错误或内容不合法
+ */
+export class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+/**
+ * 根据文件头识别压缩包格式
+ * @returns {Promise<'zip'|'tar.gz'|null>}
+ */
+async function detectFormat(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+    if (bytesRead >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+      return 'zip';
+    }
+    if (bytesRead >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      return 'tar.gz';
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 规范化条目路径，拒绝绝对路径与跳出根目录的相对路径（zip-slip）
+ */
+function normalizeEntryName(name) {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/'));
+  if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) {
+    throw new ArchiveError(`Unsafe path in archive: ${name}`);
+  }
+  return normalized;
+}
+
+/**
+ * 遍历 zip 中的文件条目
+ * @param {string} filePath - 压缩包路径
+ * @param {function(string, function(): Promise<import('stream').Readable>): Promise<void>} onEntry
+ *   参数为条目名与打开内容流的函数，不需要内容时可不调用
+ */
+async function forEachZipEntry(filePath, onEntry) {
+  let zipfile;
+  try {
+    zipfile = await promisify(yauzl.open)(filePath, { lazyEntries: true });
+  } catch (error) {
+    throw new ArchiveError(`Invalid zip archive: ${error.message}`);
+  }
+
+  const openReadStream = promisify(zipfile.openReadStream.bind(zipfile));
+
+  try {
+    await new Promise((resolve, reject) => {
+      zipfile.on('error', error => reject(new ArchiveError(`Invalid zip archive: ${error.message}`)));
+      zipfile.on('end', resolve);
+      zipfile.on('entry', async entry => {
+        try {
+          if (!entry.fileName.endsWith('/')) {
+            await onEntry(entry.fileName, () => openReadStream(entry));
+          }
+          zipfile.readEntry();
+        } catch (error) {
+          reject(error);
+        }
+      });
+      zipfile.readEntry();
+    });
+  } finally {
+    zipfile.close();
+  }
+}
+
+/**
+ * 遍历 tar.gz 中的普通文件条目（忽略目录、链接等）
+ * 参数同 forEachZipEntry
+ */
+async function forEachTarEntry(filePath, onEntry) {
+  const extract = tar.extract();
+  const source = pipeline(fs.createReadStream(filePath), zlib.createGunzip(), extract);
+  // 条目出错时 source 可能在处理该错误的过程中先被拒绝，提前挂上处理函数以免成为未处理的 rejection
+  source.catch(() => {});
+  let entryError = null;
+
+  try {
+    for await (const entry of extract) {
+      try {
+        if (entry.header.type === 'file') {
+          await onEntry(entry.header.name, async () => entry);
+        }
+      } catch (error) {
+        entryError = error;
+        throw error;
+      }
+      // 未读取的内容需要读完才能继续下一个条目
+      entry.resume();
+    }
+    await source;
+  } catch (error) {
+    extract.destroy();
+    await source.catch(() => {});
+    throw entryError ?? new ArchiveError(`Invalid tar.gz archive: ${error.message}`);
+  }
+}
+
+/**
+ * 解析测试数据压缩包并写入缓存
+ * 按去掉扩展名后的路径配对（如 sub1/1.in 与 sub1/1.out），未配对或无法识别的文件记入 skipped
+ * @param {string} filePath - 压缩包路径（zip 或 tar.gz）
+ * @param {object} [options]
+ * @param {number|null} [options.ttl] - 缓存有效期（毫秒），null 表示常驻
+ * @returns {Promise<{ manifest: Array<{ name, inputCacheId, outputCacheId }>, skipped: string[] }>}
+ * @throws {ArchiveError} 格式错误、数据损坏、路径不安全、文件过多或没有可配对的测试点
+ * @throws {FileTooLargeError} 单个文件或解压总大小超过上限
+ * @throws {CacheFullError}
+ */
+export async function expandTestcaseArchive(filePath, { ttl } = {}) {
+  const format = await detectFormat(filePath);
+  if (!format) {
+    throw new ArchiveError('Unsupported archive format, expected zip or tar.gz');
+  }
+
+  const pairs = new Map(); // 去掉扩展名的路径 -> { input, output }，值为暂存文件
+  const skipped = [];
+  let entryCount = 0;
+  let totalSize = 0;
+
+  const onEntry = async (rawName, open) => {
+    const name = normalizeEntryName(rawName);
+
+    if (++entryCount > MAX_ENTRIES) {
+      throw new ArchiveError(`Archive contains more than ${MAX_ENTRIES} files`);
+    }
+
+    const ext = path.posix.extname(name).toLowerCase();
+    const kind = INPUT_EXTENSIONS.includes(ext) ? 'input'
+      : OUTPUT_EXTENSIONS.includes(ext) ? 'output'
+      : null;
+
+    // 忽略 macOS 压缩时附带的元数据与隐藏文件
+    const hidden = name.split('/').some(segment => segment.startsWith('.') || segment === '__MACOSX');
+    if (!kind || hidden) {
+      skipped.push(name);
+      return;
+    }
+
+    const key = name.slice(0, -ext.length);
+    const pair = pairs.get(key) ?? {};
+    if (pair[kind]) {
+      throw new ArchiveError(`Duplicate ${kind} file for testcase ${key}`);
+    }
+
+    const type = kind === 'input' ? CacheType.INPUT : CacheType.OUTPUT;
+    const remaining = MAX_TOTAL_SIZE - totalSize;
+    let staged;
+    try {
+      staged = await cacheManager.stageStream(await open(), {
+        maxSize: Math.min(MAX_FILE_SIZES[type], remaining),
+      });
+    } catch (error) {
+      if (error instanceof FileTooLargeError && remaining < MAX_FILE_SIZES[type]) {
+        throw new FileTooLargeError(MAX_TOTAL_SIZE, 'Extracted archive content');
+      }
+      // 文件系统错误（如磁盘已满）与超限照常抛出，其余为读取或解压条目内容失败（数据损坏）
+      if (error instanceof FileTooLargeError || error instanceof CacheFullError || error.syscall) {
+        throw error;
+      }
+      throw new ArchiveError(`Corrupt archive entry ${name}: ${error.message}`);
+    }
+
+    totalSize += staged.size;
+    pair[kind] = { staged, fileName: path.posix.basename(name) };
+    pairs.set(key, pair);
+  };
+
+  try {
+    if (format === 'zip') {
+      await forEachZipEntry(filePath, onEntry);
+    } else {
+      await forEachTarEntry(filePath, onEntry);
+    }
+
+    const keys = Array.from(pairs.keys())
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const manifest = [];
+    const committed = [];
+
+    try {
+      for (const key of keys) {
+        const { input, output } = pairs.get(key);
+        if (!input || !output) {
+          skipped.push(key + path.posix.extname((input ?? output).fileName));
+          continue;
+        }
+
+        const inputCacheId = cacheManager.commitStaged(CacheType.INPUT, input.staged, { fileName: input.fileName }, { ttl });
+        committed.push(inputCacheId);
+        const outputCacheId = cacheManager.commitStaged(CacheType.OUTPUT, output.staged, { fileName: output.fileName }, { ttl });
+        committed.push(outputCacheId);
+
+        manifest.push({ name: key, inputCacheId, outputCacheId });
+      }
+    } catch (error) {
+      // 释放已写入条目的引用：新建的条目被删除，命中去重的已有条目只减少引用
+      committed.forEach(id => cacheManager.release(id));
+      throw error;
+    }
+
+    if (manifest.length === 0) {
+      throw new ArchiveError('No paired testcases (x.in with x.out or x.ans) found in archive');
+    }
+
+    return { manifest, skipped };
+  } finally {
+    pairs.forEach(pair => {
+      [pair.input, pair.output].forEach(file => file && cacheManager.discardStaged(file.staged));
+    });
+  }
+}
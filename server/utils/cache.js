@@ -1,17 +1,36 @@
 /**
  * 缓存管理模块
- * 管理文件和二进制数据的缓存，支持 5 分钟过期
+ * 管理文件和二进制数据的缓存，默认 5 分钟过期，可为单个条目指定有效期或常驻
+ * 同类型、同内容（SHA-256 相同）的数据只存储一份，每次写入计一个引用，显式删除时最后一个引用释放后才删除文件
+ * 可设置总容量上限，超出时按最近最少使用（LRU）淘汰非常驻条目
+ * 每个条目的元数据保存在数据文件旁的 <id>.json 中，重启后重新加载
+ * 上传的数据流先写入暂存目录（边写边计算大小与哈希），完成后再登记为缓存条目
  */
 
 import fs from 'fs';
 import path from 'path';
+import { createHash } from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import { v4 as uuidv4 } from 'uuid';
 
-// 缓存过期时间（毫秒）
-const CACHE_TTL = 5 * 60 * 1000; // 5 分钟
+// 默认缓存过期时间（毫秒）
+export const CACHE_TTL = 5 * 60 * 1000; // 5 分钟
 
-// 缓存存储目录
-const CACHE_DIR = '/tmp/judge-cache';
+// 缓存存储目录，可通过 JUDGE_CACHE_DIR 覆盖
+const CACHE_DIR = process.env.JUDGE_CACHE_DIR || '/tmp/judge-cache';
+
+// 上传暂存目录
+const UPLOAD_DIR = path.join(CACHE_DIR, 'uploads');
+
+// 元数据文件后缀
+const META_SUFFIX = '.json';
+
+// 访问时间写回元数据文件的最小间隔（毫秒），避免每次读取都写文件
+const ACCESS_PERSIST_INTERVAL = 60 * 1000;
+
+// 暂存数据流时每次预留的容量（字节），避免每个数据块都检查一次容量
+const STAGE_RESERVE_STEP = 1024 * 1024;
 
 // 缓存项类型
 export const CacheType = {
@@ -22,22 +41,135 @@ export const CacheType = {
   CHECKER: 'checker',     // 检查器
 };
 
+// 各类型上传文件的大小上限（字节）
+export const MAX_FILE_SIZES = {
+  [CacheType.SOURCE]: 1 * 1024 * 1024,      // 1MB
+  [CacheType.BINARY]: 64 * 1024 * 1024,     // 64MB
+  [CacheType.INPUT]: 1024 * 1024 * 1024,    // 1GB
+  [CacheType.OUTPUT]: 1024 * 1024 * 1024,   // 1GB
+  [CacheType.CHECKER]: 64 * 1024 * 1024,    // 64MB
+};
+
+/**
+ * 缓存容量不足（淘汰所有非常驻条目后仍无法容纳）
+ */
+export class CacheFullError extends Error {
+  constructor(size, maxSize) {
+    super(`Cache is full: cannot store ${size} bytes within the ${maxSize} bytes limit`);
+    this.name = 'CacheFullError';
+  }
+}
+
+/**
+ * 上传文件超过大小上限
+ */
+export class FileTooLargeError extends Error {
+  constructor(maxSize, subject = 'File') {
+    super(`${subject} exceeds the ${maxSize} bytes limit`);
+    this.name = 'FileTooLargeError';
+  }
+}
+
+/**
+ * 计算内容哈希（SHA-256，十六进制）
+ */
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
 /**
  * 缓存项
+ * ttl 为 null 表示常驻，直到被显式删除
  */
 class CacheItem {
-  constructor(id, type, filePath, metadata = {}) {
+  constructor(id, type, filePath, metadata = {}, ttl = CACHE_TTL) {
     this.id = id;
     this.type = type;
     this.filePath = filePath;
     this.metadata = metadata;  // 额外信息（如文件名、大小等）
+    this.refs = 1;             // 引用数：每次写入（含命中去重）加一，显式删除时减一
+    this.keys = {};            // 查找键 -> 该键对应的记录（见 CacheManager.addKey）
     this.createdAt = Date.now();
-    this.expiresAt = this.createdAt + CACHE_TTL;
+    this.lastAccessedAt = this.createdAt;
+    this.persistedAccessedAt = this.lastAccessedAt; // 元数据文件中记录的访问时间
+    this.setTtl(ttl);
+  }
+
+  touch() {
+    this.lastAccessedAt = Date.now();
+  }
+
+  get pinned() {
+    return this.ttl === null;
+  }
+
+  /**
+   * 设置有效期并从当前时间重新计时
+   */
+  setTtl(ttl) {
+    this.ttl = ttl;
+    this.expiresAt = ttl === null ? null : Date.now() + ttl;
   }
 
   isExpired() {
-    return Date.now() > this.expiresAt;
+    return this.expiresAt !== null && Date.now() > this.expiresAt;
+  }
+
+  /**
+   * 改为给定有效期是否不会早于当前的过期时间
+   */
+  isExtendedBy(ttl) {
+    if (ttl === null) {
+      return true;
+    }
+    return !this.pinned && Date.now() + ttl >= this.expiresAt;
+  }
+
+  get metaPath() {
+    return this.filePath + META_SUFFIX;
+  }
+
+  /**
+   * 转换为持久化记录
+   */
+  toRecord() {
+    return {
+      id: this.id,
+      type: this.type,
+      metadata: this.metadata,
+      refs: this.refs,
+      keys: this.keys,
+      createdAt: this.createdAt,
+      lastAccessedAt: this.lastAccessedAt,
+      ttl: this.ttl,
+      expiresAt: this.expiresAt,
+    };
+  }
+
+  /**
+   * 从持久化记录恢复缓存项
+   */
+  static fromRecord(record, filePath) {
+    const item = new CacheItem(record.id, record.type, filePath, record.metadata);
+    item.refs = record.refs ?? 1;
+    item.keys = record.keys ?? {};
+    item.createdAt = record.createdAt;
+    item.lastAccessedAt = record.lastAccessedAt ?? record.createdAt;
+    item.persistedAccessedAt = item.lastAccessedAt;
+    item.ttl = record.ttl ?? null;
+    item.expiresAt = record.expiresAt ?? null;
+    return item;
+  }
+}
+
+/**
+ * 取两个有效期中较长的一个（null 表示常驻，视为最长）
+ */
+function longerTtl(a, b) {
+  if (a === null || b === null) {
+    return null;
   }
+  return Math.max(a, b);
 }
 
 /**
@@ -46,11 +178,22 @@ class CacheItem {
 class CacheManager {
   constructor() {
     this.cache = new Map();  // id -> CacheItem
+    this.hashIndex = new Map(); // `${type}:${sha256}` -> id
+    this.keyIndex = new Map();  // 查找键（如编译缓存键）-> id
     this.cleanupInterval = null;
+    this.maxSize = 0;  // 总容量上限（字节），0 表示不限制
+    this.reservedSize = 0;  // 为尚未写入的数据（如分块上传中的文件）预留的容量（字节）
+    this.inUseResolver = null;  // 返回正在被任务使用的缓存 ID 集合，这些条目不会被淘汰
+    this.evictions = 0;
+    this.evictedBytes = 0;
+    this.rejected = 0;
     
     // 确保缓存目录存在
     this.ensureCacheDir();
     
+    // 加载上次运行留下的缓存
+    this.load();
+    
     // 启动定期清理
     this.startCleanup();
   }
@@ -60,15 +203,99 @@ class CacheManager {
       fs.mkdirSync(CACHE_DIR, { recursive: true });
     }
     
-    // 为每种类型创建子目录
-    Object.values(CacheType).forEach(type => {
-      const dir = path.join(CACHE_DIR, type);
+    // 为每种类型及上传暂存创建子目录
+    [...Object.values(CacheType).map(type => path.join(CACHE_DIR, type)), UPLOAD_DIR].forEach(dir => {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
     });
   }
 
+  /**
+   * 从元数据文件重建索引
+   * 删除已过期的条目，以及没有元数据（或元数据没有对应数据文件）的孤立文件
+   */
+  load() {
+    let loaded = 0;
+    let removed = 0;
+    
+    Object.values(CacheType).forEach(type => {
+      const dir = path.join(CACHE_DIR, type);
+      const names = new Set(fs.readdirSync(dir));
+      
+      for (const name of names) {
+        if (!name.endsWith(META_SUFFIX)) continue;
+        
+        const id = name.slice(0, -META_SUFFIX.length);
+        const filePath = path.join(dir, id);
+        let item = null;
+        
+        try {
+          const record = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8'));
+          if (record.id === id && record.type === type && names.has(id)) {
+            item = CacheItem.fromRecord(record, filePath);
+          }
+        } catch (e) {
+          // 元数据损坏，按孤立文件处理
+        }
+        
+        if (item && !item.isExpired()) {
+          this.cache.set(id, item);
+          this.index(item);
+          loaded++;
+        }
+      }
+      
+      // 删除未加载条目的数据文件与元数据（含写入中断留下的临时文件）
+      for (const name of names) {
+        const id = name.endsWith(META_SUFFIX) ? name.slice(0, -META_SUFFIX.length) : name;
+        if (this.cache.has(id)) continue;
+        
+        try {
+          fs.unlinkSync(path.join(dir, name));
+          removed++;
+        } catch (e) {
+          // 忽略删除错误
+        }
+      }
+    });
+    
+    // 上次运行中断的上传
+    for (const name of fs.readdirSync(UPLOAD_DIR)) {
+      fs.rmSync(path.join(UPLOAD_DIR, name), { recursive: true, force: true });
+      removed++;
+    }
+    
+    if (loaded > 0 || removed > 0) {
+      console.log(`[Cache] Loaded ${loaded} items, removed ${removed} stale files`);
+    }
+  }
+
+  /**
+   * 写入条目的元数据文件
+   */
+  persist(item) {
+    const tmpPath = `${item.metaPath}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(item.toRecord()), 'utf-8');
+      fs.renameSync(tmpPath, item.metaPath);
+      item.persistedAccessedAt = item.lastAccessedAt;
+    } catch (error) {
+      console.error(`[Cache] Failed to persist metadata of ${item.id}:`, error);
+    }
+  }
+
+  /**
+   * 记录一次访问
+   * 访问时间决定 LRU 淘汰顺序，距上次写入超过 ACCESS_PERSIST_INTERVAL 时写回元数据文件，重启后顺序仍然有效
+   */
+  touch(item) {
+    item.touch();
+    if (item.lastAccessedAt - item.persistedAccessedAt >= ACCESS_PERSIST_INTERVAL) {
+      this.persist(item);
+    }
+  }
+
   /**
    * 生成缓存 ID
    */
@@ -76,37 +303,325 @@ class CacheManager {
     return uuidv4();
   }
 
+  /**
+   * 设置总容量上限
+   * @param {number} bytes - 上限（字节），0 表示不限制
+   */
+  setMaxSize(bytes) {
+    this.maxSize = bytes;
+  }
+
+  /**
+   * 设置查询使用中条目的函数
+   * @param {function(): Set<string>} resolver - 返回等待中与运行中的任务引用的缓存 ID
+   */
+  setInUseResolver(resolver) {
+    this.inUseResolver = resolver;
+  }
+
+  /**
+   * 当前所有未过期条目的总大小（字节）
+   */
+  getTotalSize() {
+    let totalSize = 0;
+    this.cache.forEach(item => {
+      if (!item.isExpired()) {
+        totalSize += item.metadata.size || 0;
+      }
+    });
+    return totalSize;
+  }
+
+  /**
+   * 预留容量：腾出空间后计入总大小，直到 releaseSpace
+   * @param {number} size - 预留的字节数
+   * @throws {CacheFullError}
+   */
+  reserveSpace(size) {
+    this.ensureCapacity(size);
+    this.reservedSize += size;
+  }
+
+  /**
+   * 释放 reserveSpace 预留的容量
+   */
+  releaseSpace(size) {
+    this.reservedSize = Math.max(0, this.reservedSize - size);
+  }
+
+  /**
+   * 为即将写入的数据腾出空间（预留的容量视为已占用）
+   * 先清理过期条目，再按最近访问时间从旧到新淘汰非常驻、且未被任务使用的条目
+   * @param {number} size - 即将写入的字节数
+   * @throws {CacheFullError} 淘汰所有可淘汰的条目后仍无法容纳
+   */
+  ensureCapacity(size) {
+    if (!this.maxSize) {
+      return;
+    }
+    
+    this.cleanup();
+    
+    let totalSize = this.getTotalSize() + this.reservedSize;
+    if (totalSize + size <= this.maxSize) {
+      return;
+    }
+    
+    const inUse = this.inUseResolver?.() ?? new Set();
+    const candidates = Array.from(this.cache.values())
+      .filter(item => !item.pinned && !inUse.has(item.id))
+      .sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+    const evictableSize = candidates.reduce((sum, item) => sum + (item.metadata.size || 0), 0);
+    
+    // 无法满足时不淘汰任何条目
+    if (totalSize - evictableSize + size > this.maxSize) {
+      this.rejected++;
+      throw new CacheFullError(size, this.maxSize);
+    }
+    
+    for (const item of candidates) {
+      if (totalSize + size <= this.maxSize) {
+        break;
+      }
+      const itemSize = item.metadata.size || 0;
+      this.delete(item.id);
+      totalSize -= itemSize;
+      this.evictions++;
+      this.evictedBytes += itemSize;
+    }
+  }
+
+  hashKey(type, hash) {
+    return `${type}:${hash}`;
+  }
+
+  /**
+   * 将缓存项加入内容哈希与查找键索引
+   */
+  index(item) {
+    this.hashIndex.set(this.hashKey(item.type, item.metadata.hash), item.id);
+    for (const key of Object.keys(item.keys)) {
+      this.keyIndex.set(key, item.id);
+    }
+  }
+
   /**
    * 存储数据到缓存
+   * 已存在同类型、同内容（且 metadata.language 相同）的缓存时直接返回其 ID，增加一个引用并刷新过期时间（取两者中较长的有效期）
    * @param {string} type - 缓存类型
    * @param {Buffer|string} data - 数据内容
    * @param {object} metadata - 元数据
+   * @param {object} [options]
+   * @param {number|null} [options.ttl] - 有效期（毫秒），null 表示常驻，默认 CACHE_TTL
    * @returns {string} 缓存 ID
+   * @throws {CacheFullError} 超出容量上限且无法通过淘汰腾出空间
+   */
+  set(type, data, metadata = {}, { ttl = CACHE_TTL } = {}) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf-8');
+    
+    return this.commit(type, sha256(buffer), buffer.length, metadata, ttl, filePath => {
+      fs.writeFileSync(filePath, buffer);
+    });
+  }
+
+  /**
+   * 登记新数据
+   * 命中去重时返回已有 ID；否则腾出空间，调用 write 写入数据文件后创建缓存项
+   * @param {function(string): void} write - 将数据写入给定路径
+   * @throws {CacheFullError}
    */
-  set(type, data, metadata = {}) {
+  commit(type, hash, size, metadata, ttl, write) {
+    // 内容去重；运行语言不同的编译产物（如解释型语言原样保存的脚本）不能共用，以免沿用错误的 language
+    const existingId = this.hashIndex.get(this.hashKey(type, hash));
+    const existing = existingId && this.cache.get(existingId);
+    if (existing && existing.metadata.language === metadata.language && this.retain(existingId, ttl)) {
+      return existingId;
+    }
+    
+    this.ensureCapacity(size);
+    
     const id = this.generateId();
     const fileName = metadata.fileName || id;
     const filePath = path.join(CACHE_DIR, type, id);
     
     // 写入文件
-    if (Buffer.isBuffer(data)) {
-      fs.writeFileSync(filePath, data);
-    } else {
-      fs.writeFileSync(filePath, data, 'utf-8');
-    }
+    write(filePath);
     
     // 创建缓存项
     const item = new CacheItem(id, type, filePath, {
       ...metadata,
       fileName,
-      size: Buffer.isBuffer(data) ? data.length : Buffer.byteLength(data, 'utf-8')
-    });
+      size,
+      hash,
+    }, ttl);
     
     this.cache.set(id, item);
+    this.index(item);
+    this.persist(item);
     
     return id;
   }
 
+  /**
+   * 将数据流写入暂存文件，同时计算大小与哈希，不在内存中缓冲整个文件
+   * 写入过程中按已接收的大小预留容量，暂存文件在登记或删除前一直计入缓存总大小
+   * @param {import('stream').Readable} stream - 数据流
+   * @param {object} [options]
+   * @param {number} [options.maxSize] - 大小上限（字节），超出时中止写入
+   * @param {boolean} [options.reserve] - 是否预留容量，调用方已为这些数据预留时（如分块上传会话）传 false
+   * @returns {Promise<{ tmpPath: string, size: number, hash: string, reserved: number }>} 暂存文件，需通过 commitStaged 登记或 discardStaged 删除
+   * @throws {FileTooLargeError}
+   * @throws {CacheFullError} 缓存容量不足以容纳已接收的数据
+   */
+  async stageStream(stream, { maxSize = Infinity, reserve = true } = {}) {
+    const tmpPath = path.join(UPLOAD_DIR, this.generateId());
+    const hash = createHash('sha256');
+    let size = 0;
+    let reserved = 0;
+    
+    const meter = new Transform({
+      transform: (chunk, encoding, callback) => {
+        size += chunk.length;
+        if (size > maxSize) {
+          callback(new FileTooLargeError(maxSize));
+          return;
+        }
+        if (reserve && size > reserved) {
+          const step = Math.min(Math.max(size - reserved, STAGE_RESERVE_STEP), maxSize - reserved);
+          try {
+            this.reserveSpace(step);
+          } catch (error) {
+            callback(error);
+            return;
+          }
+          reserved += step;
+        }
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+    
+    const output = fs.createWriteStream(tmpPath);
+    
+    try {
+      await pipeline(stream, meter, output);
+    } catch (error) {
+      // 中止时文件可能仍在打开，等关闭后再删除，避免残留
+      if (!output.closed) {
+        await new Promise(resolve => output.once('close', resolve));
+      }
+      fs.rmSync(tmpPath, { force: true });
+      this.releaseSpace(reserved);
+      throw error;
+    }
+    
+    // 只保留与实际大小相同的预留容量
+    if (reserved > size) {
+      this.releaseSpace(reserved - size);
+      reserved = size;
+    }
+    
+    return { tmpPath, size, hash: hash.digest('hex'), reserved };
+  }
+
+  /**
+   * 将暂存文件登记为缓存条目（暂存文件总会被移走或删除）
+   * 暂存时预留的容量先释放，改由缓存条目占用
+   * @param {string} type - 缓存类型
+   * @param {{ tmpPath: string, size: number, hash: string, reserved: number }} staged - stageStream 的返回值
+   * @param {object} metadata - 元数据
+   * @param {object} [options]
+   * @param {number|null} [options.ttl] - 有效期（毫秒），null 表示常驻
+   * @returns {string} 缓存 ID
+   * @throws {CacheFullError}
+   */
+  commitStaged(type, staged, metadata = {}, { ttl = CACHE_TTL } = {}) {
+    this.releaseStaged(staged);
+    
+    try {
+      return this.commit(type, staged.hash, staged.size, metadata, ttl, filePath => {
+        fs.renameSync(staged.tmpPath, filePath);
+      });
+    } finally {
+      this.discardStaged(staged);
+    }
+  }
+
+  /**
+   * 删除暂存文件并释放其预留的容量
+   */
+  discardStaged(staged) {
+    fs.rmSync(staged.tmpPath, { force: true });
+    this.releaseStaged(staged);
+  }
+
+  /**
+   * 释放暂存文件预留的容量（可重复调用）
+   */
+  releaseStaged(staged) {
+    if (staged.reserved) {
+      this.releaseSpace(staged.reserved);
+      staged.reserved = 0;
+    }
+  }
+
+  /**
+   * 按内容哈希查找缓存
+   * @param {string} hash - SHA-256（十六进制）
+   * @param {string} [type] - 缓存类型，不指定时查找所有类型
+   * @returns {object[]} 匹配的缓存项（结构同 get）
+   */
+  findByHash(hash, type) {
+    const types = type ? [type] : Object.values(CacheType);
+    const normalized = hash.toLowerCase();
+    
+    return types
+      .map(t => this.hashIndex.get(this.hashKey(t, normalized)))
+      .filter(Boolean)
+      .map(id => this.get(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * 为缓存项登记查找键，之后可通过 findByKey 找到该缓存项
+   * 同一缓存项可登记多个键（如多次编译得到相同的产物），每个键保存各自的记录；键已指向其他缓存项时改为指向本项
+   * @param {string} id - 缓存 ID
+   * @param {string} key - 查找键
+   * @param {object} record - 该键对应的记录
+   * @returns {boolean} 缓存是否存在
+   */
+  addKey(id, key, record) {
+    const item = this.cache.get(id);
+    if (!item || item.isExpired()) {
+      return false;
+    }
+    
+    const previous = this.cache.get(this.keyIndex.get(key));
+    if (previous && previous !== item) {
+      delete previous.keys[key];
+      this.persist(previous);
+    }
+    
+    item.keys[key] = record;
+    this.keyIndex.set(key, id);
+    this.persist(item);
+    return true;
+  }
+
+  /**
+   * 按查找键获取缓存
+   * @param {string} key - 查找键
+   * @returns {{ cache: object, record: object }|null} cache 结构同 get，record 为 addKey 登记的记录
+   */
+  findByKey(key) {
+    const id = this.keyIndex.get(key);
+    const cache = id && this.get(id);
+    if (!cache) {
+      return null;
+    }
+    return { cache, record: this.cache.get(id).keys[key] };
+  }
+
   /**
    * 从缓存获取数据
    * @param {string} id - 缓存 ID
@@ -130,13 +645,45 @@ class CacheManager {
       return null;
     }
     
+    this.touch(item);
+    
+    return this.snapshot(item);
+  }
+
+  /**
+   * 缓存项的只读视图（get / list 的返回结构）
+   */
+  snapshot(item) {
     return {
       id: item.id,
       type: item.type,
       filePath: item.filePath,
       metadata: item.metadata,
+      refs: item.refs,
+      keys: item.keys,
       createdAt: item.createdAt,
-      expiresAt: item.expiresAt
+      expiresAt: item.expiresAt,
+      pinned: item.pinned,
+    };
+  }
+
+  /**
+   * 列出缓存项，按创建时间从新到旧排列
+   * 列表查询不计为访问，不影响淘汰顺序
+   * @param {object} [options]
+   * @param {string} [options.type] - 只列出指定类型
+   * @param {number} [options.offset=0] - 跳过的条目数
+   * @param {number} [options.limit] - 返回的最大条目数，默认全部
+   * @returns {{ total: number, items: object[] }} total 为过滤后的总数，items 结构同 get
+   */
+  list({ type, offset = 0, limit = Infinity } = {}) {
+    const items = Array.from(this.cache.values())
+      .filter(item => !item.isExpired() && (!type || item.type === type))
+      .sort((a, b) => b.createdAt - a.createdAt);
+    
+    return {
+      total: items.length,
+      items: items.slice(offset, offset + limit).map(item => this.snapshot(item)),
     };
   }
 
@@ -150,6 +697,7 @@ class CacheManager {
 
   /**
    * 检查缓存是否存在
+   * 提交任务时的校验也计为一次访问，避免排队中任务引用的数据被优先淘汰
    */
   has(id) {
     const item = this.cache.get(id);
@@ -158,6 +706,7 @@ class CacheManager {
       this.delete(id);
       return false;
     }
+    this.touch(item);
     return true;
   }
 
@@ -167,25 +716,98 @@ class CacheManager {
   delete(id) {
     const item = this.cache.get(id);
     if (item) {
-      // 删除文件
-      if (fs.existsSync(item.filePath)) {
-        try {
-          fs.unlinkSync(item.filePath);
-        } catch (e) {
-          // 忽略删除错误
+      // 删除数据文件与元数据
+      for (const filePath of [item.filePath, item.metaPath]) {
+        if (fs.existsSync(filePath)) {
+          try {
+            fs.unlinkSync(filePath);
+          } catch (e) {
+            // 忽略删除错误
+          }
+        }
+      }
+      const key = this.hashKey(item.type, item.metadata.hash);
+      if (this.hashIndex.get(key) === id) {
+        this.hashIndex.delete(key);
+      }
+      for (const lookupKey of Object.keys(item.keys)) {
+        if (this.keyIndex.get(lookupKey) === id) {
+          this.keyIndex.delete(lookupKey);
         }
       }
       this.cache.delete(id);
     }
   }
 
+  /**
+   * 释放一个引用，最后一个引用释放后删除缓存
+   * @param {string} id - 缓存 ID
+   * @returns {number|null} 剩余引用数（0 表示已删除），缓存不存在时返回 null
+   */
+  release(id) {
+    const item = this.cache.get(id);
+    if (!item || item.isExpired()) {
+      return null;
+    }
+    
+    item.refs--;
+    if (item.refs <= 0) {
+      this.delete(id);
+      return 0;
+    }
+    
+    this.persist(item);
+    return item.refs;
+  }
+
+  /**
+   * 增加一个引用，并按两者中较长的有效期重新计时（命中去重或编译缓存时使用）
+   * @param {string} id - 缓存 ID
+   * @param {number|null} [ttl] - 本次引用要求的有效期（毫秒），null 表示常驻
+   * @returns {boolean} 缓存是否存在
+   */
+  retain(id, ttl = CACHE_TTL) {
+    const item = this.cache.get(id);
+    if (!item || item.isExpired()) {
+      return false;
+    }
+    
+    item.refs++;
+    item.touch();
+    return this.refresh(id, longerTtl(item.ttl, ttl));
+  }
+
+  /**
+   * 按请求修改有效期
+   * 有多个引用时其他引用方可能依赖当前有效期，只允许延长：不能取消常驻，也不能早于当前过期时间
+   * @param {string} id - 缓存 ID
+   * @param {number|null} ttl - 新的有效期（毫秒），null 表示常驻
+   * @returns {boolean|null} 是否已修改，缓存不存在时返回 null
+   */
+  updateTtl(id, ttl) {
+    const item = this.cache.get(id);
+    if (!item || item.isExpired()) {
+      return null;
+    }
+    
+    if (item.refs > 1 && !item.isExtendedBy(ttl)) {
+      return false;
+    }
+    
+    return this.refresh(id, ttl);
+  }
+
   /**
    * 刷新缓存过期时间
+   * @param {string} id - 缓存 ID
+   * @param {number|null} [ttl] - 新的有效期（毫秒），null 表示常驻，不指定时沿用原有效期
+   * @returns {boolean} 缓存是否存在
    */
-  refresh(id) {
+  refresh(id, ttl) {
     const item = this.cache.get(id);
     if (item && !item.isExpired()) {
-      item.expiresAt = Date.now() + CACHE_TTL;
+      item.setTtl(ttl === undefined ? item.ttl : ttl);
+      this.persist(item);
       return true;
     }
     return false;
@@ -197,18 +819,28 @@ class CacheManager {
   getStats() {
     let totalSize = 0;
     let count = 0;
+    let pinned = 0;
     
     this.cache.forEach(item => {
       if (!item.isExpired()) {
         count++;
         totalSize += item.metadata.size || 0;
+        if (item.pinned) {
+          pinned++;
+        }
       }
     });
     
     return {
       count,
+      pinned,
       totalSize,
-      totalSizeMB: (totalSize / 1024 / 1024).toFixed(2)
+      totalSizeMB: (totalSize / 1024 / 1024).toFixed(2),
+      maxSize: this.maxSize,
+      reservedSize: this.reservedSize,
+      evictions: this.evictions,
+      evictedBytes: this.evictedBytes,
+      rejected: this.rejected,
     };
   }
 
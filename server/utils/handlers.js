@@ -5,9 +5,10 @@
 
 import fs from 'fs';
 import path from 'path';
-import { randomUUID } from 'crypto';
-import { ChikoJudgeSandbox } from 'chiko-judge-sandbox';
+import { randomUUID, createHash } from 'crypto';
 import { cacheManager, CacheType } from './cache.js';
+import { languageRegistry, EXECUTABLE_NAME } from './languages.js';
+import { Sandbox } from './sandbox.js';
 
 // testlib 检查器列表
 const TESTLIB_CHECKERS = [
@@ -19,6 +20,17 @@ const TESTLIB_CHECKERS = [
 // UUID 正则表达式，用于识别自定义 checker
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
+/**
+ * 获取语言定义，未注册时抛出异常
+ */
+function getLanguage(id) {
+  const language = languageRegistry.get(id);
+  if (!language) {
+    throw new Error(`Unsupported language: ${id}`);
+  }
+  return language;
+}
+
 /**
  * 判断是否为自定义 checker（UUID 格式）
  */
@@ -28,9 +40,17 @@ function isCustomChecker(checkerName) {
 
 /**
  * 编译自定义 Checker 任务处理器
+ * 与普通编译一样在沙箱中执行语言配置的编译命令，isChecker 使沙箱在工作目录中提供 testlib.h
  */
-export async function handleCompileChecker(data) {
-  const { sourceCacheId, language = 'cpp' } = data;
+export async function handleCompileChecker(data, context = {}) {
+  const { sourceCacheId, language = languageRegistry.defaultLanguage } = data;
+  const { signal, reportProgress } = context;
+  
+  // checker 由评测流程直接执行，只支持生成可执行文件的语言
+  const lang = getLanguage(language);
+  if (!lang.binary) {
+    throw new Error(`Language ${language} cannot be used for checkers`);
+  }
   
   // 获取源代码
   const sourceCache = cacheManager.get(sourceCacheId);
@@ -38,39 +58,48 @@ export async function handleCompileChecker(data) {
     throw new Error('Checker source code cache not found or expired');
   }
   
-  const sourceCode = fs.readFileSync(sourceCache.filePath, 'utf-8');
+  reportProgress?.({ stage: 'compiling' });
   
-  // 编译 checker（使用 isChecker: true 以获取 testlib.h）
-  const compileResult = await ChikoJudgeSandbox.compile({
-    sourceCode,
-    language,
-    submissionId: `checker_${Date.now()}`,
-    isChecker: true  // 这会自动复制 testlib.h
-  });
+  const workDir = createUniqueTempDir('checker');
+  const sandbox = new Sandbox(signal);
   
-  if (!compileResult.success) {
+  try {
+    // 编译 checker（使用 isChecker: true 以获取 testlib.h）
+    const compileResult = await compileInSandbox(sandbox, {
+      lang,
+      sourceCache,
+      compileCommand: lang.compileCommand(),
+      workDir,
+      submissionId: `checker_${Date.now()}`,
+      isChecker: true,
+    });
+    
+    if (!compileResult.success) {
+      return {
+        success: false,
+        compileInfo: compileResult.compileInfo,
+      };
+    }
+    
+    // 将 checker 可执行文件缓存
+    const executableBuffer = fs.readFileSync(path.join(workDir, EXECUTABLE_NAME));
+    const checkerCacheId = cacheManager.set(CacheType.CHECKER, executableBuffer, {
+      originalSource: sourceCacheId,
+      language,
+      isCustomChecker: true,
+    });
+    
     return {
-      success: false,
+      success: true,
+      checkerCacheId,
       compileInfo: compileResult.compileInfo,
     };
+    
+  } finally {
+    // 清理工作目录
+    sandbox.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
   }
-  
-  // 将 checker 可执行文件缓存
-  const executableBuffer = fs.readFileSync(compileResult.executablePath);
-  const checkerCacheId = cacheManager.set(CacheType.CHECKER, executableBuffer, {
-    originalSource: sourceCacheId,
-    language,
-    isCustomChecker: true,
-  });
-  
-  // 清理临时目录
-  ChikoJudgeSandbox.cleanupTempDir(compileResult.tempDir);
-  
-  return {
-    success: true,
-    checkerCacheId,
-    compileInfo: compileResult.compileInfo,
-  };
 }
 
 /**
@@ -78,7 +107,7 @@ export async function handleCompileChecker(data) {
  * 如果是内置 checker，使用 compileChecker 编译
  * 如果是自定义 checker（UUID），从缓存获取
  */
-async function getCheckerPath(checkerName) {
+async function getCheckerPath(checkerName, sandbox) {
   if (isCustomChecker(checkerName)) {
     // 自定义 checker，从缓存获取
     const checkerCache = cacheManager.get(checkerName);
@@ -88,7 +117,7 @@ async function getCheckerPath(checkerName) {
     return checkerCache.filePath;
   } else {
     // 内置 checker，使用 compileChecker
-    return await ChikoJudgeSandbox.compileChecker(checkerName);
+    return await sandbox.compileChecker(checkerName);
   }
 }
 
@@ -105,6 +134,7 @@ function isTestlibChecker(checkerName) {
 
 /**
  * 创建并返回唯一的临时目录
+ * 由处理器在 finally 中删除；任务被取消或超时时沙箱进程先被终止，处理器随即返回并删除该目录
  */
 function createUniqueTempDir(prefix) {
   const tempDir = path.join('/tmp', `${prefix}-${Date.now()}-${randomUUID()}`);
@@ -113,104 +143,258 @@ function createUniqueTempDir(prefix) {
 }
 
 /**
- * 编译任务处理器
+ * 编译缓存键
+ * 源代码、语言、编译命令（含编译选项）、额外文件与编译器版本都相同时，编译产物可以复用
  */
-export async function handleCompile(data) {
-  const { sourceCacheId, language = 'cpp' } = data;
+function compileCacheKey({ lang, version, sourceCache, compileCommand, extraFileCaches }) {
+  const key = {
+    source: sourceCache.metadata.hash,
+    language: lang.id,
+    compileCommand,
+    extraFiles: extraFileCaches.map(({ fileName, cache }) => [fileName, cache.metadata.hash]),
+    version,
+  };
+  return createHash('sha256').update(JSON.stringify(key)).digest('hex');
+}
+
+/**
+ * 在沙箱中编译
+ * 源文件与额外文件写入工作目录后，由沙箱在隔离环境中于该目录执行展开后的编译命令，
+ * 可执行文件按编译命令写入工作目录（{executable}）；编译的时间、内存与文件访问限制由沙箱负责
+ * @param {Sandbox} sandbox
+ * @param {object} options
+ * @param {object} options.lang - 语言定义
+ * @param {object} options.sourceCache - 源代码缓存项
+ * @param {{ fileName: string, cache: object }[]} [options.extraFileCaches] - 额外文件
+ * @param {string|null} options.compileCommand - 展开后的编译命令，为 null 时不编译
+ * @param {string} options.workDir - 工作目录
+ * @param {string} options.submissionId
+ * @param {boolean} [options.isChecker] - 是否为 checker（沙箱在工作目录中提供 testlib.h）
+ * @returns {Promise<{ success: boolean, compileInfo: string }>}
+ */
+async function compileInSandbox(sandbox, options) {
+  const { lang, sourceCache, extraFileCaches = [], compileCommand, workDir, submissionId, isChecker = false } = options;
   
-  // 获取源代码
-  const sourceCache = cacheManager.get(sourceCacheId);
-  if (!sourceCache) {
-    throw new Error('Source code cache not found or expired');
+  fs.copyFileSync(sourceCache.filePath, path.join(workDir, lang.sourceFileName));
+  for (const { fileName, cache } of extraFileCaches) {
+    fs.copyFileSync(cache.filePath, path.join(workDir, fileName));
   }
   
-  const sourceCode = fs.readFileSync(sourceCache.filePath, 'utf-8');
-  
-  // 编译
-  const compileResult = await ChikoJudgeSandbox.compile({
-    sourceCode,
-    language,
-    submissionId: `compile_${Date.now()}`
-  });
-  
-  if (!compileResult.success) {
-    return {
-      success: false,
-      compileInfo: compileResult.compileInfo,
-    };
+  // 解释型语言的编译命令仅用于语法检查，没有编译命令时跳过
+  if (!compileCommand) {
+    return { success: true, compileInfo: '' };
   }
   
-  // 将可执行文件缓存
-  const executableBuffer = fs.readFileSync(compileResult.executablePath);
-  const binaryCacheId = cacheManager.set(CacheType.BINARY, executableBuffer, {
-    originalSource: sourceCacheId,
-    language,
+  const result = await sandbox.compile({
+    sourceCode: fs.readFileSync(sourceCache.filePath, 'utf-8'),
+    language: lang.id,
+    sourceFileName: lang.sourceFileName,
+    extraFiles: extraFileCaches.map(({ fileName }) => fileName),
+    workDir,
+    compileCommand,
+    submissionId,
+    isChecker,
   });
   
-  // 清理临时目录
-  ChikoJudgeSandbox.cleanupTempDir(compileResult.tempDir);
+  // 沙箱另行创建的临时目录
+  if (result.tempDir && result.tempDir !== workDir) {
+    fs.rmSync(result.tempDir, { recursive: true, force: true });
+  }
   
-  return {
-    success: true,
-    binaryCacheId,
-    compileInfo: compileResult.compileInfo,
-  };
+  return { success: result.success, compileInfo: result.compileInfo ?? '' };
 }
 
 /**
- * 评测任务处理器
+ * 编译任务处理器
+ * 源文件与 extraFiles 中的文件（头文件、grader 等）写入工作目录后，由沙箱在其中执行语言配置的编译命令
+ * 相同的源代码与编译参数已编译过且产物仍在缓存中时直接返回该产物（cached: true）
  */
-export async function handleJudge(data) {
+export async function handleCompile(data, context = {}) {
   const {
-    binaryCacheId,
-    inputCacheId,
-    outputCacheId,      // 标准答案
-    checkerName = 'icmp',
-    timeLimit = 1000,
-    memoryLimit = 128 * 1024,
-    isFileInput = false,
-    inputFileName = 'input.txt',
-    outputFileName = 'output.txt',
+    sourceCacheId,
+    language = languageRegistry.defaultLanguage,
+    compileOptions,
+    extraFiles = [],        // [{ cacheId, fileName }]
   } = data;
+  const { signal, reportProgress } = context;
   
-  // 获取缓存文件
-  const binaryCache = cacheManager.get(binaryCacheId);
-  const inputCache = cacheManager.get(inputCacheId);
-  const outputCache = cacheManager.get(outputCacheId);
+  const lang = getLanguage(language);
   
-  if (!binaryCache) throw new Error('Binary cache not found or expired');
-  if (!inputCache) throw new Error('Input cache not found or expired');
-  if (!outputCache) throw new Error('Output cache not found or expired');
+  // 编译选项在提交时已校验，这里按当前语言配置补全默认值
+  const { options, error } = lang.resolveCompileOptions(compileOptions);
+  if (error) {
+    throw new Error(error);
+  }
+  // 运行时只有编译产物本身，额外文件只能参与生成可执行文件
+  if (extraFiles.length > 0 && !lang.binary) {
+    throw new Error(`Language ${language} does not support extra files`);
+  }
   
-  // 创建临时目录
-  const tempDir = createUniqueTempDir('judge');
+  // 获取源代码
+  const sourceCache = cacheManager.get(sourceCacheId);
+  if (!sourceCache) {
+    throw new Error('Source code cache not found or expired');
+  }
+  
+  const extraFileCaches = extraFiles.map(({ cacheId, fileName }) => {
+    const cache = cacheManager.get(cacheId);
+    if (!cache) {
+      throw new Error(`Extra file cache not found or expired: ${fileName}`);
+    }
+    return { fileName, cache };
+  });
+  
+  const compileCommand = lang.compileCommand(options, extraFiles.map(file => file.fileName));
+  
+  // 创建工作目录
+  const workDir = createUniqueTempDir('compile');
+  const sandbox = new Sandbox(signal);
   
   try {
-    // 写入可执行文件
-    const execPath = path.join(tempDir, 'program');
-    fs.writeFileSync(execPath, fs.readFileSync(binaryCache.filePath));
-    fs.chmodSync(execPath, '755');
+    // 编译器版本由沙箱会话进程执行语言配置中的 version 命令查询（不含用户输入）；
+    // 查询不到时无法确认产物能否复用，不查找编译缓存
+    const version = await lang.getVersion(execOptions => sandbox.exec({ ...execOptions, cwd: workDir }));
+    const compileKey = compileCacheKey({ lang, version, sourceCache, compileCommand, extraFileCaches });
     
-    // 写入输入文件
-    const inputPath = path.join(tempDir, 'input.txt');
-    fs.copyFileSync(inputCache.filePath, inputPath);
+    // 查找已有的编译产物，命中时与重新编译一样增加一个引用并重新计算其有效期
+    const cached = version !== null ? cacheManager.findByKey(compileKey) : null;
+    if (cached && cacheManager.retain(cached.cache.id)) {
+      return {
+        success: true,
+        binaryCacheId: cached.cache.id,
+        compileInfo: cached.record.compileInfo,
+        cached: true,
+      };
+    }
     
-    // 写入答案文件
-    const answerPath = path.join(tempDir, 'answer.txt');
-    fs.copyFileSync(outputCache.filePath, answerPath);
+    reportProgress?.({ stage: 'compiling' });
+    
+    const compileResult = await compileInSandbox(sandbox, {
+      lang,
+      sourceCache,
+      extraFileCaches,
+      compileCommand,
+      workDir,
+      submissionId: `compile_${Date.now()}`,
+    });
+    
+    if (!compileResult.success) {
+      return {
+        success: false,
+        compileInfo: compileResult.compileInfo,
+      };
+    }
+    
+    // 缓存编译产物：可执行文件，或不生成可执行文件的语言的源代码
+    // 不同的编译可能得到相同的产物（按内容去重），每次编译的参数与输出按编译缓存键分别记录
+    const artifact = lang.binary
+      ? fs.readFileSync(path.join(workDir, EXECUTABLE_NAME))
+      : fs.readFileSync(sourceCache.filePath);
+    const binaryCacheId = cacheManager.set(CacheType.BINARY, artifact, { language });
+    cacheManager.addKey(binaryCacheId, compileKey, {
+      originalSource: sourceCacheId,
+      compileOptions: options,
+      ...(extraFiles.length > 0 && { extraFiles }),
+      compileInfo: compileResult.compileInfo,  // 命中编译缓存时原样返回
+    });
+    
+    return {
+      success: true,
+      binaryCacheId,
+      compileInfo: compileResult.compileInfo,
+      cached: false,
+    };
+    
+  } finally {
+    // 清理工作目录
+    sandbox.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 创建 checker 解析器，同一任务内只解析一次 checker 路径
+ */
+function createCheckerResolver(checkerName, sandbox) {
+  let checkerPath = null;
+
+  return async () => {
+    if (!checkerPath) {
+      checkerPath = await getCheckerPath(checkerName, sandbox);
+    }
+    return checkerPath;
+  };
+}
+
+/**
+ * 将编译产物复制到临时目录
+ * 解释型语言的产物为源代码，按语言配置的源文件名保存
+ */
+function prepareExecutable(binaryCache, tempDir, language, name = EXECUTABLE_NAME) {
+  const execPath = path.join(tempDir, language.artifactName(name));
+  fs.writeFileSync(execPath, fs.readFileSync(binaryCache.filePath));
+  fs.chmodSync(execPath, '755');
+  return execPath;
+}
+
+/**
+ * 编译产物的语言定义，取自编译时写入缓存元数据的 language
+ * 未记录语言的二进制（如直接上传的可执行文件）按默认语言处理
+ */
+function binaryLanguage(binaryCache) {
+  return getLanguage(binaryCache.metadata.language ?? languageRegistry.defaultLanguage);
+}
+
+/**
+ * 评测单个测试点
+ * 可执行文件已在 tempDir 中，checker 通过 resolveChecker 按需获取
+ */
+async function judgeTestCase(options) {
+  const {
+    sandbox,
+    execPath,
+    language,
+    tempDir,
+    inputCache,
+    outputCache,
+    resolveChecker,
+    useTestlib,
+    timeLimit,
+    memoryLimit,
+    isFileInput,
+    inputFileName,
+    outputFileName,
+    suffix = '',
+    reportProgress,
+    progress = {},          // 附加到进度上报中的字段（如测试点下标）
+  } = options;
+
+  // 写入输入文件
+  const inputPath = path.join(tempDir, `input${suffix}.txt`);
+  fs.copyFileSync(inputCache.filePath, inputPath);
+
+  // 写入答案文件
+  const answerPath = path.join(tempDir, `answer${suffix}.txt`);
+  fs.copyFileSync(outputCache.filePath, answerPath);
+
+  const outputPath = path.join(tempDir, `output${suffix}.txt`);
+
+  try {
+    reportProgress?.({ stage: 'running', ...progress });
     
     // 运行程序
-    const runResult = await ChikoJudgeSandbox.runProgram({
+    const runResult = await sandbox.runProgram({
       executablePath: execPath,
       inputPath,
-      language: 'cpp',
-      timeLimit,
-      memoryLimit,
+      language: language.id,
+      runCommand: language.runCommand(path.basename(execPath)),
+      timeLimit: language.scaleTime(timeLimit),
+      memoryLimit: language.scaleMemory(memoryLimit),
       isFileInput,
       inputFileName,
       outputFileName,
     });
-    
+
     // 检查运行状态
     let status = 'accepted';
     if (runResult.result.status !== 1 || runResult.result.code !== 0) {
@@ -221,7 +405,7 @@ export async function handleJudge(data) {
       } else {
         status = 'runtime-error';
       }
-      
+
       return {
         status,
         time: runResult.result.time,
@@ -230,24 +414,22 @@ export async function handleJudge(data) {
         error: runResult.error,
       };
     }
-    
+
     // 写入输出文件
-    const outputPath = path.join(tempDir, 'output.txt');
     fs.writeFileSync(outputPath, runResult.output);
-    
-    // 获取 checker 路径（支持内置和自定义 checker）
-    const checkerPath = await getCheckerPath(checkerName);
+
+    reportProgress?.({ stage: 'checking', ...progress });
     
     // 运行检查器
-    const useTestlib = isTestlibChecker(checkerName);
-    const checkerResult = await ChikoJudgeSandbox.runChecker({
+    const checkerPath = await resolveChecker();
+    const checkerResult = await sandbox.runChecker({
       checkerPath,
       inputPath,
       outputPath,
       answerPath,
       useTestlib,
     });
-    
+
     // 确定状态
     if (checkerResult.normalizedScore >= 1) {
       status = 'accepted';
@@ -256,7 +438,7 @@ export async function handleJudge(data) {
     } else {
       status = 'wrong-answer';
     }
-    
+
     return {
       status,
       score: checkerResult.score,
@@ -266,9 +448,341 @@ export async function handleJudge(data) {
       output: runResult.output,
       checkerMessage: checkerResult.message,
     };
+
+  } finally {
+    // 删除本测试点的数据文件，避免批量评测时临时目录膨胀
+    for (const filePath of [inputPath, answerPath, outputPath]) {
+      fs.rmSync(filePath, { force: true });
+    }
+  }
+}
+
+/**
+ * 评测任务处理器
+ */
+export async function handleJudge(data, context = {}) {
+  const {
+    binaryCacheId,
+    inputCacheId,
+    outputCacheId,      // 标准答案
+    checkerName = 'icmp',
+    timeLimit = 1000,
+    memoryLimit = 128 * 1024,
+    isFileInput = false,
+    inputFileName = 'input.txt',
+    outputFileName = 'output.txt',
+  } = data;
+  const { signal, reportProgress } = context;
+  
+  // 获取缓存文件
+  const binaryCache = cacheManager.get(binaryCacheId);
+  const inputCache = cacheManager.get(inputCacheId);
+  const outputCache = cacheManager.get(outputCacheId);
+  
+  if (!binaryCache) throw new Error('Binary cache not found or expired');
+  if (!inputCache) throw new Error('Input cache not found or expired');
+  if (!outputCache) throw new Error('Output cache not found or expired');
+  
+  // 创建临时目录
+  const tempDir = createUniqueTempDir('judge');
+  const sandbox = new Sandbox(signal);
+  
+  try {
+    // 写入可执行文件
+    const language = binaryLanguage(binaryCache);
+    const execPath = prepareExecutable(binaryCache, tempDir, language);
+    
+    return await judgeTestCase({
+      sandbox,
+      execPath,
+      language,
+      tempDir,
+      inputCache,
+      outputCache,
+      // 获取 checker 路径（支持内置和自定义 checker）
+      resolveChecker: createCheckerResolver(checkerName, sandbox),
+      useTestlib: isTestlibChecker(checkerName),
+      timeLimit,
+      memoryLimit,
+      isFileInput,
+      inputFileName,
+      outputFileName,
+      reportProgress,
+    });
+    
+  } finally {
+    // 清理临时目录
+    sandbox.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// 评测模式
+export const JudgeMode = {
+  OI: 'oi',                 // 评测全部测试点
+  ICPC: 'icpc',             // 遇到第一个未通过的测试点即停止
+};
+
+// 子任务计分策略
+export const SubtaskPolicy = {
+  SUM: 'sum',               // 各测试点得分比例取平均
+  MIN: 'min',               // 取最低得分比例（捆绑测试）
+  PRODUCT: 'product',       // 各测试点得分比例相乘
+};
+
+/**
+ * 根据测试点归一化得分（0-1）计算子任务得分比例
+ */
+const SUBTASK_POLICIES = {
+  [SubtaskPolicy.SUM]: ratios => ratios.reduce((sum, r) => sum + r, 0) / ratios.length,
+  [SubtaskPolicy.MIN]: ratios => Math.min(...ratios),
+  [SubtaskPolicy.PRODUCT]: ratios => ratios.reduce((product, r) => product * r, 1),
+};
+
+/**
+ * 子任务得分是否已确定为 0（min / product 策略下任一测试点得 0 分即可确定）
+ */
+function isSubtaskZero(policy, ratios) {
+  return policy !== SubtaskPolicy.SUM && ratios.some(r => r <= 0);
+}
+
+/**
+ * 汇总状态：满分为 accepted，部分得分为 partial-accepted，
+ * 得分为 0 时沿用第一个未通过测试点的状态
+ */
+function summarizeStatus(score, maxScore, results) {
+  if (score >= maxScore) {
+    return 'accepted';
+  }
+  if (score > 0) {
+    return 'partial-accepted';
+  }
+  const firstFailed = results.find(r => r && r.status !== 'accepted' && r.status !== 'skipped');
+  return firstFailed?.status || 'wrong-answer';
+}
+
+/**
+ * 批量评测任务处理器
+ * 同一个程序依次评测多个测试点，可执行文件与 checker 在测试点间复用
+ * 提供 subtasks 时按子任务计分（测试点结果不含 score），否则按测试点分数累加
+ * ICPC 模式下遇到第一个未通过的测试点后停止，其余测试点标记为 skipped
+ */
+export async function handleJudgeBatch(data, context = {}) {
+  const {
+    binaryCacheId,
+    cases = [],
+    subtasks = null,
+    mode = JudgeMode.OI,
+    checkerName = 'icmp',
+    timeLimit = 1000,
+    memoryLimit = 128 * 1024,
+    isFileInput = false,
+    inputFileName = 'input.txt',
+    outputFileName = 'output.txt',
+  } = data;
+  const { signal, reportProgress } = context;
+  
+  const binaryCache = cacheManager.get(binaryCacheId);
+  if (!binaryCache) throw new Error('Binary cache not found or expired');
+  
+  // 创建临时目录
+  const tempDir = createUniqueTempDir('judge-batch');
+  const sandbox = new Sandbox(signal);
+  
+  try {
+    // 可执行文件与 checker 只准备一次
+    const language = binaryLanguage(binaryCache);
+    const execPath = prepareExecutable(binaryCache, tempDir, language);
+    const resolveChecker = createCheckerResolver(checkerName, sandbox);
+    const useTestlib = isTestlibChecker(checkerName);
+    
+    // 测试点结果（同一测试点被多个子任务引用时只评测一次）
+    const results = new Array(cases.length).fill(null);
+    
+    // ICPC 模式下第一个未通过的测试点下标
+    let failedIndex = null;
+    let completedCount = 0;
+    
+    const runCase = async (i) => {
+      if (results[i]) {
+        return results[i];
+      }
+      
+      // 任务已取消时不再评测后续测试点
+      signal?.throwIfAborted();
+      
+      const testCase = cases[i];
+      const inputCache = cacheManager.get(testCase.inputCacheId);
+      const outputCache = cacheManager.get(testCase.outputCacheId);
+      
+      if (!inputCache) throw new Error(`Input cache not found or expired (case ${i})`);
+      if (!outputCache) throw new Error(`Output cache not found or expired (case ${i})`);
+      
+      const caseResult = await judgeTestCase({
+        sandbox,
+        execPath,
+        language,
+        tempDir,
+        inputCache,
+        outputCache,
+        resolveChecker,
+        useTestlib,
+        timeLimit: testCase.timeLimit ?? timeLimit,
+        memoryLimit: testCase.memoryLimit ?? memoryLimit,
+        isFileInput,
+        inputFileName,
+        outputFileName,
+        suffix: `_${i}`,
+        reportProgress,
+        progress: { caseIndex: i, completed: completedCount, total: cases.length },
+      });
+      
+      completedCount++;
+      reportProgress?.({
+        stage: 'case-finished',
+        caseIndex: i,
+        status: caseResult.status,
+        completed: completedCount,
+        total: cases.length,
+      });
+      
+      // 测试点的 score 为其计入总分的得分（见下方计分），不沿用 checker 的原始分数
+      const { score, ...caseFields } = caseResult;
+      results[i] = {
+        ...caseFields,
+        index: i,
+        normalizedScore: caseResult.normalizedScore || 0,
+      };
+      
+      if (mode === JudgeMode.ICPC && caseResult.status !== 'accepted') {
+        failedIndex = i;
+      }
+      
+      return results[i];
+    };
+    
+    let totalScore = 0;
+    let maxScore = 0;
+    let subtaskResults = null;
+    
+    if (Array.isArray(subtasks) && subtasks.length > 0) {
+      subtaskResults = [];
+      
+      for (let s = 0; s < subtasks.length; s++) {
+        const subtask = subtasks[s];
+        const policy = subtask.policy || SubtaskPolicy.MIN;
+        const subtaskScore = subtask.score ?? 100;
+        const dependencies = subtask.dependencies || [];
+        maxScore += subtaskScore;
+        
+        // ICPC 模式已出现未通过的测试点，剩余子任务全部跳过
+        if (failedIndex !== null) {
+          subtaskResults.push({
+            index: s,
+            status: 'skipped',
+            score: 0,
+            maxScore: subtaskScore,
+            policy,
+            cases: subtask.cases,
+          });
+          continue;
+        }
+        
+        // 依赖的子任务未全部满分时跳过本子任务
+        const blockedBy = dependencies.filter(d => subtaskResults[d].status !== 'accepted');
+        if (blockedBy.length > 0) {
+          subtaskResults.push({
+            index: s,
+            status: 'skipped',
+            score: 0,
+            maxScore: subtaskScore,
+            policy,
+            cases: subtask.cases,
+            blockedBy,
+          });
+          continue;
+        }
+        
+        const ratios = [];
+        for (const caseIndex of subtask.cases) {
+          const caseResult = await runCase(caseIndex);
+          ratios.push(caseResult.normalizedScore);
+          
+          // 子任务已确定得 0 分或 ICPC 模式下出现未通过测试点，跳过剩余测试点
+          if (isSubtaskZero(policy, ratios) || failedIndex !== null) {
+            break;
+          }
+        }
+        
+        const ratio = ratios.length === subtask.cases.length
+          ? SUBTASK_POLICIES[policy](ratios)
+          : 0;
+        const score = Math.round(subtaskScore * ratio);
+        totalScore += score;
+        
+        const caseResults = subtask.cases.map(i => results[i]);
+        subtaskResults.push({
+          index: s,
+          status: summarizeStatus(score, subtaskScore, caseResults),
+          score,
+          maxScore: subtaskScore,
+          policy,
+          cases: subtask.cases,
+        });
+      }
+    } else {
+      maxScore = cases.reduce((sum, testCase) => sum + (testCase.score ?? 100), 0);
+      
+      for (let i = 0; i < cases.length; i++) {
+        const caseScore = cases[i].score ?? 100;
+        const caseResult = await runCase(i);
+        
+        // 计算得分
+        caseResult.maxScore = caseScore;
+        caseResult.score = Math.round(caseScore * caseResult.normalizedScore);
+        totalScore += caseResult.score;
+        
+        if (failedIndex !== null) {
+          break;
+        }
+      }
+    }
+    
+    // 未评测的测试点标记为 skipped
+    for (let i = 0; i < results.length; i++) {
+      if (!results[i]) {
+        results[i] = { index: i, status: 'skipped' };
+      }
+    }
+    
+    // ICPC 模式的最终状态即第一个未通过测试点的状态
+    const status = mode === JudgeMode.ICPC
+      ? (failedIndex === null ? 'accepted' : results[failedIndex].status)
+      : summarizeStatus(totalScore, maxScore, results);
+    
+    const response = {
+      mode,
+      status,
+      totalScore,
+      maxScore,
+      time: Math.max(0, ...results.map(r => r.time || 0)),
+      memory: Math.max(0, ...results.map(r => r.memory || 0)),
+      results,
+    };
+    
+    if (mode === JudgeMode.ICPC) {
+      response.failedIndex = failedIndex;
+    }
+    
+    if (subtaskResults) {
+      response.subtasks = subtaskResults;
+    }
+    
+    return response;
     
   } finally {
     // 清理临时目录
+    sandbox.close();
     fs.rmSync(tempDir, { recursive: true, force: true });
   }
 }
@@ -276,7 +790,7 @@ export async function handleJudge(data) {
 /**
  * 运行任务处理器
  */
-export async function handleRun(data) {
+export async function handleRun(data, context = {}) {
   const {
     binaryCacheId,
     inputCacheId,
@@ -286,6 +800,7 @@ export async function handleRun(data) {
     inputFileName = 'input.txt',
     outputFileName = 'output.txt',
   } = data;
+  const { signal, reportProgress } = context;
   
   // 获取缓存文件
   const binaryCache = cacheManager.get(binaryCacheId);
@@ -296,24 +811,27 @@ export async function handleRun(data) {
   
   // 创建临时目录
   const tempDir = createUniqueTempDir('run');
+  const sandbox = new Sandbox(signal);
   
   try {
     // 写入可执行文件
-    const execPath = path.join(tempDir, 'program');
-    fs.writeFileSync(execPath, fs.readFileSync(binaryCache.filePath));
-    fs.chmodSync(execPath, '755');
+    const language = binaryLanguage(binaryCache);
+    const execPath = prepareExecutable(binaryCache, tempDir, language);
     
     // 写入输入文件
     const inputPath = path.join(tempDir, 'input.txt');
     fs.copyFileSync(inputCache.filePath, inputPath);
     
+    reportProgress?.({ stage: 'running' });
+    
     // 运行程序
-    const runResult = await ChikoJudgeSandbox.runProgram({
+    const runResult = await sandbox.runProgram({
       executablePath: execPath,
       inputPath,
-      language: 'cpp',
-      timeLimit,
-      memoryLimit,
+      language: language.id,
+      runCommand: language.runCommand(path.basename(execPath)),
+      timeLimit: language.scaleTime(timeLimit),
+      memoryLimit: language.scaleMemory(memoryLimit),
       isFileInput,
       inputFileName,
       outputFileName,
@@ -344,6 +862,7 @@ export async function handleRun(data) {
     
   } finally {
     // 清理临时目录
+    sandbox.close();
     fs.rmSync(tempDir, { recursive: true, force: true });
   }
 }
@@ -351,7 +870,7 @@ export async function handleRun(data) {
 /**
  * 交互题评测任务处理器
  */
-export async function handleInteractive(data) {
+export async function handleInteractive(data, context = {}) {
   const {
     userBinaryCacheId,
     interactorBinaryCacheId,
@@ -363,6 +882,7 @@ export async function handleInteractive(data) {
     scoreFileName = 'score.txt',
     messageFileName = 'message.txt',
   } = data;
+  const { signal, reportProgress } = context;
   
   // 获取缓存文件
   const userBinaryCache = cacheManager.get(userBinaryCacheId);
@@ -373,28 +893,33 @@ export async function handleInteractive(data) {
   
   // 创建临时目录
   const tempDir = createUniqueTempDir('interactive');
+  const sandbox = new Sandbox(signal);
   
   try {
-    // 写入可执行文件
-    const userExecPath = path.join(tempDir, 'user');
-    const interactorExecPath = path.join(tempDir, 'interactor');
+    // 写入可执行文件（解释型语言按源文件名保存，两个程序分目录存放以免重名）
+    const userLanguage = binaryLanguage(userBinaryCache);
+    const interactorLanguage = binaryLanguage(interactorBinaryCache);
     
-    fs.writeFileSync(userExecPath, fs.readFileSync(userBinaryCache.filePath));
-    fs.chmodSync(userExecPath, '755');
+    const userDir = path.join(tempDir, 'user');
+    const interactorDir = path.join(tempDir, 'interactor');
+    fs.mkdirSync(userDir);
+    fs.mkdirSync(interactorDir);
     
-    fs.writeFileSync(interactorExecPath, fs.readFileSync(interactorBinaryCache.filePath));
-    fs.chmodSync(interactorExecPath, '755');
+    const userExecPath = prepareExecutable(userBinaryCache, userDir, userLanguage, 'user');
+    const interactorExecPath = prepareExecutable(interactorBinaryCache, interactorDir, interactorLanguage, 'interactor');
     
     // 准备选项
     const options = {
       userExecutablePath: userExecPath,
       interactorExecutablePath: interactorExecPath,
-      userLanguage: 'cpp',
-      interactorLanguage: 'cpp',
-      timeLimit,
-      memoryLimit,
-      interactorTimeLimit,
-      interactorMemoryLimit,
+      userLanguage: userLanguage.id,
+      interactorLanguage: interactorLanguage.id,
+      userRunCommand: userLanguage.runCommand(path.basename(userExecPath)),
+      interactorRunCommand: interactorLanguage.runCommand(path.basename(interactorExecPath)),
+      timeLimit: userLanguage.scaleTime(timeLimit),
+      memoryLimit: userLanguage.scaleMemory(memoryLimit),
+      interactorTimeLimit: interactorLanguage.scaleTime(interactorTimeLimit),
+      interactorMemoryLimit: interactorLanguage.scaleMemory(interactorMemoryLimit),
       scoreFileName,
       messageFileName,
     };
@@ -408,8 +933,10 @@ export async function handleInteractive(data) {
       }
     }
     
+    reportProgress?.({ stage: 'interacting' });
+    
     // 运行交互
-    const result = await ChikoJudgeSandbox.runInteractive(options);
+    const result = await sandbox.runInteractive(options);
     
     return {
       verdict: result.verdict.verdict,
@@ -427,6 +954,41 @@ export async function handleInteractive(data) {
     
   } finally {
     // 清理临时目录
+    sandbox.close();
     fs.rmSync(tempDir, { recursive: true, force: true });
   }
 }
+
+// 一次提交中编译后执行的操作
+export const SubmitAction = {
+  RUN: 'run',               // 运行程序并返回输出
+  JUDGE: 'judge',           // 与标准答案比对评测
+};
+
+/**
+ * 编译并运行 / 评测任务处理器
+ * 在同一任务中依次执行 handleCompile 与 handleRun / handleJudge，编译失败时 result 为 null
+ */
+export async function handleSubmit(data, context = {}) {
+  const {
+    action = SubmitAction.RUN,
+    sourceCacheId,
+    language = languageRegistry.defaultLanguage,
+    compileOptions,
+    extraFiles,
+    ...options
+  } = data;
+  
+  const compile = await handleCompile({ sourceCacheId, language, compileOptions, extraFiles }, context);
+  
+  if (!compile.success) {
+    return { action, compile, result: null };
+  }
+  
+  context.signal?.throwIfAborted();
+  
+  const handler = action === SubmitAction.JUDGE ? handleJudge : handleRun;
+  const result = await handler({ ...options, binaryCacheId: compile.binaryCacheId }, context);
+  
+  return { action, compile, result };
+}
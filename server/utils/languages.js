@@ -0,0 +1,345 @@
+/**
+ * 编程语言注册表
+ * 从配置文件读取各语言的源文件名、编译 / 运行命令、默认编译参数与时空限制倍率
+ *
+ * 命令中的占位符都由服务端展开：
+ *   - {flags}: 编译参数
+ *   - {source}: 源文件名（sourceFileName）、{executable}: 可执行文件名（EXECUTABLE_NAME）
+ * 展开后的命令交给沙箱，在沙箱内的工作目录中执行（见 README 中的沙箱接口要求），服务端不直接执行用户代码的编译与运行
+ *
+ * 生成可执行文件的语言（binary: true）的 run 只能为 {executable}；
+ * 不生成可执行文件的语言（binary: false，如 Python）以源代码作为编译产物，compile 可为 null 或仅用于语法检查，
+ * 运行时产物按 sourceFileName 保存，由沙箱执行 run 命令解释执行
+ *
+ * 编译任务可通过 compileOptions 调整的选项（standard / optimization / defines）需在语言的 compileOptions 中声明，
+ * standard 与 optimization 只能取配置中列出的值，flag 中的 {value} 替换为选项值后追加到 flags 之后
+ *
+ * 编译时可附带额外文件（头文件、grader 等）放在源文件旁；与源文件扩展名相同的额外文件
+ * 作为编译单元按文件名追加到 {source} 之后
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// 默认配置文件路径，可通过 JUDGE_LANGUAGES_FILE 覆盖
+const DEFAULT_LANGUAGES_FILE = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../config/languages.json',
+);
+
+// 编译任务可指定的选项：单值选项与宏定义
+const VALUE_OPTIONS = ['standard', 'optimization'];
+const COMPILE_OPTION_KEYS = [...VALUE_OPTIONS, 'defines'];
+
+// 宏定义格式 NAME 或 NAME=VALUE（会拼接到编译命令中，不允许空白与 shell 特殊字符）
+const DEFINE_REGEX = /^[A-Za-z_][A-Za-z0-9_]*(=[A-Za-z0-9_.+-]*)?$/;
+
+// 单个编译任务的宏定义数量上限
+const MAX_DEFINES = 32;
+
+// 编译产物（可执行文件）在工作目录中的文件名
+export const EXECUTABLE_NAME = 'program';
+
+// 查询编译器版本的超时（毫秒）
+const VERSION_TIMEOUT = 10 * 1000;
+
+/**
+ * 单个语言定义
+ */
+class Language {
+  constructor(id, config) {
+    this.id = id;
+    this.name = config.name ?? id;
+    this.sourceFileName = config.sourceFileName;
+    this.compile = config.compile ?? null;    // 编译命令模板
+    this.run = config.run;                    // 运行命令模板
+    this.flags = config.flags ?? [];          // 默认编译参数
+    this.timeMultiplier = config.timeMultiplier ?? 1;
+    this.memoryMultiplier = config.memoryMultiplier ?? 1;
+    this.binary = config.binary ?? true;      // 编译后是否生成可执行文件
+    this.compileOptions = config.compileOptions ?? {};  // 可由编译任务指定的选项
+    this.version = config.version ?? null;    // 查询编译器版本的命令
+    this.versionOutput = null;                // 查询到的编译器版本
+  }
+
+  /**
+   * 校验配置，返回错误信息或 null
+   */
+  validate() {
+    if (typeof this.sourceFileName !== 'string' || !this.sourceFileName
+        || path.basename(this.sourceFileName) !== this.sourceFileName) {
+      return 'sourceFileName must be a plain file name';
+    }
+    if (this.compile !== null && typeof this.compile !== 'string') {
+      return 'compile must be a string or null';
+    }
+    if (typeof this.run !== 'string' || !this.run) {
+      return 'run is required';
+    }
+    if (!Array.isArray(this.flags) || !this.flags.every(flag => typeof flag === 'string')) {
+      return 'flags must be an array of strings';
+    }
+    for (const key of ['timeMultiplier', 'memoryMultiplier']) {
+      if (typeof this[key] !== 'number' || !(this[key] > 0)) {
+        return `${key} must be a positive number`;
+      }
+    }
+    if (typeof this.binary !== 'boolean') {
+      return 'binary must be a boolean';
+    }
+    if (this.version !== null && typeof this.version !== 'string') {
+      return 'version must be a string or null';
+    }
+    if (this.binary && !this.compile) {
+      return 'compile is required when binary is true';
+    }
+    if (this.binary && this.run !== '{executable}') {
+      return 'run must be {executable} when binary is true';
+    }
+    if (!this.binary && !this.run.includes('{source}')) {
+      return 'run must contain {source} when binary is false';
+    }
+    if (typeof this.compileOptions !== 'object' || Array.isArray(this.compileOptions)) {
+      return 'compileOptions must be an object';
+    }
+    for (const [key, definition] of Object.entries(this.compileOptions)) {
+      if (!COMPILE_OPTION_KEYS.includes(key)) {
+        return `unknown compile option ${key}`;
+      }
+      if (typeof definition?.flag !== 'string' || !definition.flag.includes('{value}')) {
+        return `compileOptions.${key}.flag must contain {value}`;
+      }
+      if (VALUE_OPTIONS.includes(key)) {
+        const { values, default: defaultValue } = definition;
+        if (!Array.isArray(values) || values.length === 0 || !values.every(value => typeof value === 'string')) {
+          return `compileOptions.${key}.values must be a non-empty array of strings`;
+        }
+        if (defaultValue !== undefined && !values.includes(defaultValue)) {
+          return `compileOptions.${key}.default must be one of its values`;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 校验编译任务指定的编译选项，未指定的单值选项取配置中的默认值
+   * @param {object} [options] - { standard?, optimization?, defines? }
+   * @returns {{ options?: object, error?: string }} options 为补全默认值后的选项
+   */
+  resolveCompileOptions(options = {}) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      return { error: 'compileOptions must be an object' };
+    }
+
+    for (const key of Object.keys(options)) {
+      if (!COMPILE_OPTION_KEYS.includes(key)) {
+        return { error: `Unknown compile option: ${key}. Valid options: ${COMPILE_OPTION_KEYS.join(', ')}` };
+      }
+      if (!this.compileOptions[key]) {
+        return { error: `Language ${this.id} does not support compile option ${key}` };
+      }
+    }
+
+    const resolved = {};
+
+    for (const key of VALUE_OPTIONS) {
+      const definition = this.compileOptions[key];
+      const value = options[key] ?? definition?.default;
+      if (value === undefined) {
+        continue;
+      }
+      // optimization 允许传数字（如 2）
+      if (!definition.values.includes(String(value))) {
+        return { error: `Invalid ${key} for ${this.id}. Valid values: ${definition.values.join(', ')}` };
+      }
+      resolved[key] = String(value);
+    }
+
+    if (options.defines !== undefined) {
+      const { defines } = options;
+      if (!Array.isArray(defines) || defines.length > MAX_DEFINES) {
+        return { error: `defines must be an array of at most ${MAX_DEFINES} items` };
+      }
+      const invalid = defines.find(define => typeof define !== 'string' || !DEFINE_REGEX.test(define));
+      if (invalid !== undefined) {
+        return { error: `Invalid define: ${invalid}. Expected NAME or NAME=VALUE` };
+      }
+      resolved.defines = defines;
+    }
+
+    return { options: resolved };
+  }
+
+  /**
+   * 编译器版本（version 命令输出的第一行），查询成功后不再重复查询
+   * 由执行编译命令的同一执行器查询，得到的是实际参与编译的编译器的版本
+   * @param {function({ command: string, timeout: number }): Promise<{ code: number|null, output: string }>} exec
+   *   - 执行命令，如 Sandbox.exec
+   * @returns {Promise<string|null>} 未配置 version、命令执行失败或没有输出时为 null
+   */
+  async getVersion(exec) {
+    if (!this.version) {
+      return null;
+    }
+
+    if (this.versionOutput === null) {
+      const { code, output } = await exec({ command: this.version, timeout: VERSION_TIMEOUT });
+      const version = code === 0 ? output.trim().split('\n')[0] : '';
+      if (!version) {
+        console.warn(`[Languages] Failed to get compiler version for ${this.id} (exit code ${code})`);
+        return null;
+      }
+      this.versionOutput = version;
+    }
+
+    return this.versionOutput;
+  }
+
+  /**
+   * 额外文件是否需要作为编译单元参与编译（与源文件扩展名相同，如 C++ 的 grader.cpp）
+   */
+  isCompilationUnit(fileName) {
+    return path.extname(fileName) === path.extname(this.sourceFileName);
+  }
+
+  /**
+   * 展开全部占位符后的编译命令，在工作目录中执行
+   * @param {object} [options] - resolveCompileOptions 返回的选项，默认只使用配置中的默认值
+   * @param {string[]} [extraFileNames] - 额外文件名，其中的编译单元追加到 {source} 之后
+   */
+  compileCommand(options = this.resolveCompileOptions().options, extraFileNames = []) {
+    const flags = [...this.flags];
+
+    for (const key of VALUE_OPTIONS) {
+      if (options[key] !== undefined) {
+        flags.push(this.compileOptions[key].flag.replace('{value}', options[key]));
+      }
+    }
+    for (const define of options.defines ?? []) {
+      flags.push(this.compileOptions.defines.flag.replace('{value}', define));
+    }
+
+    const sources = [this.sourceFileName, ...extraFileNames.filter(fileName => this.isCompilationUnit(fileName))];
+
+    return this.compile
+      ?.replace('{source}', sources.join(' '))
+      .replace('{executable}', EXECUTABLE_NAME)
+      .replace('{flags}', flags.join(' '))
+      .replace(/ {2,}/g, ' ')
+      .trim() ?? null;
+  }
+
+  /**
+   * 编译产物在工作目录中的文件名：可执行文件使用给定名称，解释型语言需保留源文件名
+   */
+  artifactName(name) {
+    return this.binary ? name : this.sourceFileName;
+  }
+
+  /**
+   * 展开占位符后的运行命令，在编译产物所在目录中执行
+   * @param {string} artifactName - 编译产物的文件名（见 artifactName）
+   */
+  runCommand(artifactName) {
+    return this.run
+      .replaceAll('{source}', artifactName)
+      .replaceAll('{executable}', `./${artifactName}`);
+  }
+
+  /**
+   * 按倍率换算时间限制（ms）
+   */
+  scaleTime(timeLimit) {
+    return Math.round(timeLimit * this.timeMultiplier);
+  }
+
+  /**
+   * 按倍率换算内存限制（KB）
+   */
+  scaleMemory(memoryLimit) {
+    return Math.round(memoryLimit * this.memoryMultiplier);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      sourceFileName: this.sourceFileName,
+      compile: this.compile,
+      run: this.run,
+      flags: this.flags,
+      timeMultiplier: this.timeMultiplier,
+      memoryMultiplier: this.memoryMultiplier,
+      binary: this.binary,
+      compileOptions: this.compileOptions,
+      version: this.version,
+    };
+  }
+}
+
+/**
+ * 语言注册表
+ */
+class LanguageRegistry {
+  constructor() {
+    this.languages = new Map();  // id -> Language
+    this.defaultLanguage = null;
+
+    this.load(process.env.JUDGE_LANGUAGES_FILE || DEFAULT_LANGUAGES_FILE);
+  }
+
+  /**
+   * 读取配置文件，配置不合法时抛出异常（服务启动失败）
+   * 配置格式：{ default: 'cpp', languages: { [id]: { name, sourceFileName, compile, run, flags, ... } } }
+   */
+  load(filePath) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to load language config ${filePath}: ${error.message}`);
+    }
+
+    const languages = new Map();
+    for (const [id, languageConfig] of Object.entries(config.languages ?? {})) {
+      const language = new Language(id, languageConfig ?? {});
+      const error = language.validate();
+      if (error) {
+        throw new Error(`Invalid language config "${id}" in ${filePath}: ${error}`);
+      }
+      languages.set(id, language);
+    }
+
+    if (!languages.has(config.default)) {
+      throw new Error(`Default language "${config.default}" is not defined in ${filePath}`);
+    }
+
+    this.languages = languages;
+    this.defaultLanguage = config.default;
+    console.log(`[Languages] Loaded ${languages.size} languages from ${filePath}`);
+  }
+
+  /**
+   * 获取语言定义，未注册时返回 null
+   */
+  get(id) {
+    return this.languages.get(id) ?? null;
+  }
+
+  has(id) {
+    return this.languages.has(id);
+  }
+
+  ids() {
+    return Array.from(this.languages.keys());
+  }
+
+  list() {
+    return Array.from(this.languages.values());
+  }
+}
+
+// 导出单例
+export const languageRegistry = new LanguageRegistry();
@@ -1,9 +1,16 @@
 /**
  * 任务队列管理模块
  * 支持优先级的任务队列，使用最小堆实现
+ *
+ * TaskQueue 事件：
+ *   - status (task): 任务状态变化（pending / running / completed / failed / cancelled）
+ *   - progress (task, progress): 处理器上报的执行进度
  */
 
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
+import { MemoryTaskStore } from './store.js';
+import { deliverWebhook } from './webhook.js';
 
 // 任务状态
 export const TaskStatus = {
@@ -11,6 +18,7 @@ export const TaskStatus = {
   RUNNING: 'running',       // 执行中
   COMPLETED: 'completed',   // 已完成
   FAILED: 'failed',         // 失败
+  CANCELLED: 'cancelled',   // 已取消
 };
 
 // 任务类型
@@ -18,15 +26,28 @@ export const TaskType = {
   COMPILE: 'compile',       // 编译程序
   COMPILE_CHECKER: 'compile-checker', // 编译自定义 checker
   JUDGE: 'judge',           // 普通评测
+  JUDGE_BATCH: 'judge-batch', // 多测试点批量评测
   RUN: 'run',               // 运行程序
   INTERACTIVE: 'interactive', // 交互题评测
+  SUBMIT: 'submit',         // 编译后运行或评测（一次提交）
 };
 
+/**
+ * 任务执行超时错误
+ */
+class TaskTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Task timed out after ${timeout}ms`);
+    this.name = 'TaskTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
 /**
  * 任务类
  */
 export class Task {
-  constructor(type, data, priority = 0) {
+  constructor(type, data, priority = 0, options = {}) {
     this.id = uuidv4();
     this.type = type;
     this.data = data;
@@ -34,9 +55,52 @@ export class Task {
     this.status = TaskStatus.PENDING;
     this.result = null;
     this.error = null;
+    this.reason = null;    // 失败原因：error | timeout
+    this.progress = null;  // 最近一次上报的执行进度
     this.createdAt = Date.now();
     this.startedAt = null;
     this.completedAt = null;
+    this.abortController = null; // 运行中任务的取消信号
+    // 任务结束后的回调：status 为 pending | delivered | failed，deliveries 为投递记录
+    this.callback = options.callbackUrl
+      ? { url: options.callbackUrl, status: 'pending', deliveries: [] }
+      : null;
+  }
+
+  /**
+   * 任务是否已结束（完成、失败或取消）
+   */
+  isFinished() {
+    return this.status === TaskStatus.COMPLETED
+      || this.status === TaskStatus.FAILED
+      || this.status === TaskStatus.CANCELLED;
+  }
+
+  /**
+   * 持久化记录（包含任务数据，用于重启后恢复）
+   */
+  toRecord() {
+    return {
+      ...this.toJSON(),
+      data: this.data,
+    };
+  }
+
+  /**
+   * 从持久化记录恢复任务
+   */
+  static fromRecord(record) {
+    const task = new Task(record.type, record.data, record.priority);
+    task.id = record.id;
+    task.status = record.status;
+    task.result = record.result ?? null;
+    task.error = record.error ?? null;
+    task.reason = record.reason ?? null;
+    task.createdAt = record.createdAt;
+    task.startedAt = record.startedAt ?? null;
+    task.completedAt = record.completedAt ?? null;
+    task.callback = record.callback ?? null;
+    return task;
   }
 
   toJSON() {
@@ -47,9 +111,12 @@ export class Task {
       priority: this.priority,
       result: this.result,
       error: this.error,
+      reason: this.reason,
+      progress: this.progress,
       createdAt: this.createdAt,
       startedAt: this.startedAt,
       completedAt: this.completedAt,
+      callback: this.callback,
     };
   }
 }
@@ -92,6 +159,26 @@ class PriorityQueue {
     return top;
   }
 
+  /**
+   * 按任务 ID 移除堆中的任务
+   * @returns {Task|null} 被移除的任务，不存在时返回 null
+   */
+  remove(taskId) {
+    const index = this.heap.findIndex(task => task.id === taskId);
+    if (index === -1) return null;
+    
+    const removed = this.heap[index];
+    const last = this.heap.pop();
+    
+    if (index < this.heap.length) {
+      this.heap[index] = last;
+      this._siftUp(index);
+      this._siftDown(index);
+    }
+    
+    return removed;
+  }
+
   peek() {
     return this.heap.length > 0 ? this.heap[0] : null;
   }
@@ -147,14 +234,19 @@ class PriorityQueue {
 /**
  * 任务队列管理器
  */
-class TaskQueue {
+class TaskQueue extends EventEmitter {
   constructor(concurrency = 1) {
+    super();
+    // 每个 SSE / 长轮询连接都会订阅事件，不限制监听器数量
+    this.setMaxListeners(0);
     this.queue = new PriorityQueue();
     this.tasks = new Map();  // id -> Task
     this.runningTasks = new Map(); // id -> Task
     this.activeWorkers = 0;
     this.concurrency = this.normalizeConcurrency(concurrency);
     this.handlers = new Map(); // 任务类型 -> 处理函数
+    this.timeouts = new Map(); // 任务类型 -> 超时时间（毫秒），未配置的类型不限制
+    this.store = new MemoryTaskStore(); // 任务持久化存储
   }
 
   normalizeConcurrency(value) {
@@ -184,6 +276,150 @@ class TaskQueue {
     return this.concurrency;
   }
 
+  normalizeTimeout(value) {
+    const parsed = Number.parseInt(value, 10);
+    if (Number.isNaN(parsed) || parsed < 0) {
+      return 0;
+    }
+    return parsed;
+  }
+
+  /**
+   * 设置某类任务的超时（毫秒，0 表示不限制）
+   */
+  setTaskTimeout(type, value) {
+    const timeout = this.normalizeTimeout(value);
+    this.timeouts.set(type, timeout);
+    return timeout;
+  }
+
+  /**
+   * 获取某类任务的超时
+   */
+  getTaskTimeout(type) {
+    return this.timeouts.get(type) ?? 0;
+  }
+
+  /**
+   * 设置任务持久化存储
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * 持久化任务当前状态，写入失败不影响任务执行
+   * 存储中累积的旧记录过多时顺带压缩
+   */
+  persist(task) {
+    try {
+      this.store.save(task.toRecord());
+    } catch (error) {
+      console.error(`[Queue] Failed to persist task ${task.id}:`, error);
+      return;
+    }
+
+    if (this.store.needsCompaction()) {
+      this.compact();
+    }
+  }
+
+  /**
+   * 持久化并广播任务状态变化
+   */
+  updateStatus(task) {
+    this.persist(task);
+    this.emit('status', task);
+  }
+
+  /**
+   * 记录并广播处理器上报的进度（任务结束后的迟到上报会被忽略）
+   */
+  reportProgress(task, progress) {
+    if (task.status !== TaskStatus.RUNNING) return;
+
+    task.progress = progress;
+    this.emit('progress', task, progress);
+  }
+
+  /**
+   * 从持久化存储恢复任务
+   * 等待中的任务重新入队；上次进程退出时仍在运行的任务重置为等待并重新入队
+   */
+  restore() {
+    const records = this.store.load();
+    let requeued = 0;
+
+    for (const record of records) {
+      if (this.tasks.has(record.id)) continue;
+
+      const task = Task.fromRecord(record);
+
+      if (task.status === TaskStatus.RUNNING) {
+        task.status = TaskStatus.PENDING;
+        task.startedAt = null;
+      }
+
+      this.tasks.set(task.id, task);
+
+      if (task.status === TaskStatus.PENDING) {
+        this.queue.push(task);
+        requeued++;
+      } else if (task.isFinished() && task.callback?.status === 'pending') {
+        // 上次退出前回调未投递完成，重新投递
+        this.notifyCallback(task);
+      }
+    }
+
+    // 压缩存储，只保留每个任务的最新记录
+    this.compact();
+
+    if (records.length > 0) {
+      console.log(`[Queue] Restored ${records.length} tasks (${requeued} requeued)`);
+    }
+
+    this.process();
+  }
+
+  /**
+   * 用当前任务表重写存储
+   */
+  compact() {
+    try {
+      this.store.compact(Array.from(this.tasks.values()).map(task => task.toRecord()));
+    } catch (error) {
+      console.error('[Queue] Failed to compact task store:', error);
+    }
+  }
+
+  /**
+   * 任务结束后投递回调（异步执行，不阻塞队列）
+   */
+  notifyCallback(task) {
+    if (!task.callback) return;
+
+    const callback = task.callback;
+    callback.status = 'pending';
+
+    deliverWebhook(callback.url, task.toJSON(), {
+      onAttempt: (delivery) => {
+        callback.deliveries.push(delivery);
+        this.persist(task);
+      },
+    })
+      .then((delivered) => {
+        callback.status = delivered ? 'delivered' : 'failed';
+        this.persist(task);
+
+        if (!delivered) {
+          console.error(`[Queue] Callback for task ${task.id} failed after ${callback.deliveries.length} attempts`);
+        }
+      })
+      .catch((error) => {
+        console.error(`[Queue] Unexpected error while delivering callback for task ${task.id}:`, error);
+      });
+  }
+
   /**
    * 注册任务处理器
    */
@@ -193,11 +429,14 @@ class TaskQueue {
 
   /**
    * 添加任务
+   * @param {object} [options]
+   * @param {string} [options.callbackUrl] - 任务结束后的回调地址
    */
-  addTask(type, data, priority = 0) {
-    const task = new Task(type, data, priority);
+  addTask(type, data, priority = 0, options = {}) {
+    const task = new Task(type, data, priority, options);
     this.tasks.set(task.id, task);
     this.queue.push(task);
+    this.updateStatus(task);
     
     console.log(`[Queue] Task ${task.id} added (type=${type}, priority=${priority})`);
     
@@ -214,6 +453,82 @@ class TaskQueue {
     return this.tasks.get(taskId);
   }
 
+  /**
+   * 等待中与运行中的任务
+   */
+  getActiveTasks() {
+    return Array.from(this.tasks.values()).filter(task => !task.isFinished());
+  }
+
+  /**
+   * 取消任务
+   * 等待中的任务直接从队列移除；运行中的任务通过 AbortSignal 通知处理器终止
+   * @returns {{ task: Task|null, previousStatus: string|null }}
+   */
+  cancelTask(taskId) {
+    const task = this.tasks.get(taskId);
+    
+    if (!task) {
+      return { task: null, previousStatus: null };
+    }
+    
+    const previousStatus = task.status;
+    
+    if (task.isFinished()) {
+      return { task, previousStatus };
+    }
+    
+    if (task.status === TaskStatus.PENDING) {
+      this.queue.remove(taskId);
+    } else if (task.abortController) {
+      task.abortController.abort(new Error('Task cancelled'));
+    }
+    
+    task.status = TaskStatus.CANCELLED;
+    task.error = 'Task cancelled';
+    task.completedAt = Date.now();
+    this.updateStatus(task);
+    this.notifyCallback(task);
+    
+    console.log(`[Queue] Task ${task.id} cancelled (was ${previousStatus})`);
+    
+    return { task, previousStatus };
+  }
+
+  /**
+   * 等待任务结束
+   * @param {string} taskId - 任务 ID
+   * @param {number} timeout - 最长等待时间（毫秒）
+   * @param {AbortSignal} [signal] - 提前停止等待（如客户端断开）
+   * @returns {Promise<Task|undefined>} 任务结束、超时或 signal 中止时 resolve
+   */
+  waitForTask(taskId, timeout, signal) {
+    const task = this.tasks.get(taskId);
+
+    if (!task || task.isFinished() || timeout <= 0 || signal?.aborted) {
+      return Promise.resolve(task);
+    }
+
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.off('status', onStatus);
+        signal?.removeEventListener('abort', done);
+        resolve(task);
+      };
+
+      const onStatus = (updated) => {
+        if (updated.id === taskId && updated.isFinished()) {
+          done();
+        }
+      };
+
+      const timer = setTimeout(done, timeout);
+      this.on('status', onStatus);
+      signal?.addEventListener('abort', done, { once: true });
+    });
+  }
+
   /**
    * 处理队列
    */
@@ -227,6 +542,8 @@ class TaskQueue {
       this.runningTasks.set(task.id, task);
       task.status = TaskStatus.RUNNING;
       task.startedAt = Date.now();
+      task.abortController = new AbortController();
+      this.updateStatus(task);
 
       console.log(`[Queue] Processing task ${task.id} (type=${task.type}, workers=${this.activeWorkers}/${this.concurrency})`);
 
@@ -236,6 +553,7 @@ class TaskQueue {
           console.error(`[Queue] Unexpected error while processing task ${task.id}:`, error);
         })
         .finally(() => {
+          task.abortController = null;
           this.activeWorkers = Math.max(0, this.activeWorkers - 1);
           this.runningTasks.delete(task.id);
           this.process();
@@ -243,7 +561,25 @@ class TaskQueue {
     }
   }
 
+  /**
+   * 为处理器 Promise 附加超时，超时后立即 reject
+   */
+  runWithTimeout(promise, timeout) {
+    if (timeout <= 0) {
+      return promise;
+    }
+
+    let timer = null;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new TaskTimeoutError(timeout)), timeout);
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  }
+
   async executeTask(task) {
+    let handlerPromise = null;
+
     try {
       const handler = this.handlers.get(task.type);
 
@@ -251,22 +587,57 @@ class TaskQueue {
         throw new Error(`No handler registered for task type: ${task.type}`);
       }
 
-      const result = await handler(task.data);
+      const context = {
+        signal: task.abortController.signal,
+        reportProgress: (progress) => this.reportProgress(task, progress),
+      };
+      handlerPromise = Promise.resolve().then(() => handler(task.data, context));
+      // 超时后处理器仍会 reject，避免产生未处理的 Promise rejection
+      handlerPromise.catch(() => {});
+
+      const result = await this.runWithTimeout(handlerPromise, this.getTaskTimeout(task.type));
+
+      // 运行期间已被取消，丢弃结果
+      if (task.status === TaskStatus.CANCELLED) {
+        console.log(`[Queue] Task ${task.id} stopped after cancellation`);
+        return;
+      }
 
       task.status = TaskStatus.COMPLETED;
       task.result = result;
       task.completedAt = Date.now();
+      this.updateStatus(task);
+      this.notifyCallback(task);
 
       console.log(`[Queue] Task ${task.id} completed in ${task.completedAt - task.startedAt}ms`);
 
     } catch (error) {
+      if (task.status === TaskStatus.CANCELLED) {
+        console.log(`[Queue] Task ${task.id} stopped after cancellation`);
+        return;
+      }
+
       const errorMessage = error instanceof Error ? error.message : String(error);
+      const isTimeout = error instanceof TaskTimeoutError;
+
+      // 超时后终止处理器的沙箱进程
+      if (isTimeout) {
+        task.abortController.abort(error);
+      }
 
       task.status = TaskStatus.FAILED;
       task.error = errorMessage;
+      task.reason = isTimeout ? 'timeout' : 'error';
       task.completedAt = Date.now();
+      this.updateStatus(task);
+      this.notifyCallback(task);
 
       console.error(`[Queue] Task ${task.id} failed:`, errorMessage);
+
+      // 等处理器真正返回（临时目录已删除）后再释放 worker，保证同时执行的处理器不超过并发数
+      if (isTimeout) {
+        await handlerPromise.catch(() => {});
+      }
     }
   }
 
@@ -293,7 +664,7 @@ class TaskQueue {
   cleanup() {
     const completed = [];
     this.tasks.forEach((task, id) => {
-      if (task.status === TaskStatus.COMPLETED || task.status === TaskStatus.FAILED) {
+      if (task.isFinished()) {
         completed.push({ id, completedAt: task.completedAt });
       }
     });
@@ -303,6 +674,7 @@ class TaskQueue {
       completed.sort((a, b) => b.completedAt - a.completedAt);
       const toRemove = completed.slice(1000);
       toRemove.forEach(({ id }) => this.tasks.delete(id));
+      this.compact();
       console.log(`[Queue] Cleaned up ${toRemove.length} old tasks`);
     }
   }
@@ -0,0 +1,95 @@
+/**
+ * 沙箱调用子进程
+ * 由 sandbox.js 以 fork 启动，按收到的消息调用 chiko-judge-sandbox 并回传结果；
+ * exec 由本进程直接在主机上执行，只用于配置中的命令（如查询编译器版本），不能用于编译或运行用户代码
+ *
+ * 消息格式：
+ *   - 请求: { id, method, args }
+ *   - 响应: { id, result } 或 { id, error: { name, message } }
+ */
+
+import { spawn } from 'child_process';
+import { ChikoJudgeSandbox } from 'chiko-judge-sandbox';
+
+// exec 保留的输出上限（字节）
+const MAX_EXEC_OUTPUT = 64 * 1024;
+
+/**
+ * 在指定目录中执行 shell 命令（不经过沙箱隔离，只能执行配置中的命令），stdout 与 stderr 合并返回
+ * 命令在独立进程组中执行，超时后整组终止
+ * @param {object} options
+ * @param {string} options.command - shell 命令
+ * @param {string} [options.cwd] - 工作目录
+ * @param {number} options.timeout - 超时（毫秒）
+ * @returns {Promise<{ code: number|null, signal: string|null, timedOut: boolean, output: string }>}
+ */
+function exec({ command, cwd, timeout }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('/bin/sh', ['-c', command], {
+      cwd,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    const chunks = [];
+    let size = 0;
+    const collect = (chunk) => {
+      if (size < MAX_EXEC_OUTPUT) {
+        chunks.push(chunk);
+        size += chunk.length;
+      }
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (e) {
+        // 进程组已退出
+      }
+    }, timeout);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      resolve({
+        code,
+        signal,
+        timedOut,
+        output: Buffer.concat(chunks).subarray(0, MAX_EXEC_OUTPUT).toString('utf-8'),
+      });
+    });
+  });
+}
+
+// 由本进程实现的调用
+const LOCAL_METHODS = { exec };
+
+process.on('message', async ({ id, method, args }) => {
+  try {
+    const result = Object.hasOwn(LOCAL_METHODS, method)
+      ? await LOCAL_METHODS[method](...args)
+      : await ChikoJudgeSandbox[method](...args);
+    process.send({ id, result });
+  } catch (error) {
+    process.send({
+      id,
+      error: {
+        name: error?.name || 'Error',
+        message: error instanceof Error ? error.message : String(error),
+      },
+    });
+  }
+});
+
+// 父进程关闭通道（会话结束或服务退出）后随之退出
+process.on('disconnect', () => {
+  process.exit(0);
+});
@@ -0,0 +1,221 @@
+/**
+ * 沙箱调用
+ * 一个任务内的 chiko-judge-sandbox 调用都在该任务独占的子进程（sandbox-runner.js）中执行，
+ * 任务被取消或超时时由服务端直接终止该子进程及其创建的全部进程（编译器、用户程序、交互器等），
+ * 不依赖沙箱自身支持中止；查询编译器版本等配置中的命令（exec）也在该子进程中运行
+ *
+ * 子进程以独立进程组启动，终止时先按 /proc 收集其所有后代进程，再向进程组与各后代发送 SIGKILL，
+ * 沙箱为用户程序新建会话或进程组时也能一并终止
+ */
+
+import fs from 'fs';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const RUNNER_PATH = fileURLToPath(new URL('./sandbox-runner.js', import.meta.url));
+
+/**
+ * 读取 /proc 中所有进程的父进程号
+ * @returns {Map<number, number[]>} 父进程号 -> 子进程号列表
+ */
+function readProcessTree() {
+  const children = new Map();
+
+  for (const name of fs.readdirSync('/proc')) {
+    if (!/^\d+$/.test(name)) continue;
+
+    let stat;
+    try {
+      stat = fs.readFileSync(`/proc/${name}/stat`, 'utf-8');
+    } catch (e) {
+      continue;  // 进程已退出
+    }
+
+    // 格式为 "pid (comm) state ppid ..."，comm 中可能含空格或括号，从最后一个 ')' 之后解析
+    const ppid = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+    if (!children.has(ppid)) {
+      children.set(ppid, []);
+    }
+    children.get(ppid).push(Number(name));
+  }
+
+  return children;
+}
+
+/**
+ * 列出进程的所有后代进程
+ */
+function listDescendants(pid) {
+  const children = readProcessTree();
+  const descendants = [];
+  const pending = [pid];
+
+  while (pending.length > 0) {
+    for (const child of children.get(pending.pop()) ?? []) {
+      descendants.push(child);
+      pending.push(child);
+    }
+  }
+
+  return descendants;
+}
+
+/**
+ * 终止进程及其所有后代进程
+ */
+function killProcessTree(pid) {
+  let descendants = [];
+  try {
+    descendants = listDescendants(pid);
+  } catch (e) {
+    // 无法读取 /proc 时只终止进程组
+  }
+
+  for (const target of [-pid, pid, ...descendants]) {
+    try {
+      process.kill(target, 'SIGKILL');
+    } catch (e) {
+      // 进程已退出
+    }
+  }
+}
+
+/**
+ * 单个任务的沙箱会话
+ * 子进程在第一次调用时启动，任务结束后通过 close 关闭；signal 中止后终止子进程，
+ * 进行中的调用以 signal.reason 拒绝，之后的调用直接拒绝
+ */
+export class Sandbox {
+  /**
+   * @param {AbortSignal} [signal] - 任务的取消信号
+   */
+  constructor(signal) {
+    this.signal = signal;
+    this.child = null;
+    this.nextId = 0;
+    this.pending = new Map();  // 调用 ID -> { resolve, reject }
+
+    this.onAbort = () => this.kill(signal.reason);
+    signal?.addEventListener('abort', this.onAbort, { once: true });
+  }
+
+  /**
+   * 启动子进程
+   */
+  spawn() {
+    const child = fork(RUNNER_PATH, [], {
+      detached: true,                // 独立进程组，便于整体终止
+      serialization: 'advanced',     // 结果中可能包含 Buffer
+    });
+
+    child.on('message', ({ id, result, error }) => {
+      const call = this.pending.get(id);
+      if (!call) return;
+
+      this.pending.delete(id);
+      if (error) {
+        const err = new Error(error.message);
+        err.name = error.name;
+        call.reject(err);
+      } else {
+        call.resolve(result);
+      }
+    });
+
+    // 子进程意外退出（或被终止）时，进行中的调用全部失败
+    child.on('exit', (code, signal) => {
+      if (this.child === child) {
+        this.child = null;
+      }
+      this.rejectAll(new Error(`Sandbox process exited unexpectedly (${signal ?? `code ${code}`})`));
+    });
+
+    child.on('error', (error) => {
+      console.error('[Sandbox] Sandbox process error:', error);
+    });
+
+    return child;
+  }
+
+  rejectAll(error) {
+    for (const { reject } of this.pending.values()) {
+      reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * 在子进程中调用 ChikoJudgeSandbox[method](...args)
+   */
+  call(method, ...args) {
+    try {
+      this.signal?.throwIfAborted();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    this.child ??= this.spawn();
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, { resolve, reject });
+      this.child.send({ id, method, args });
+    });
+  }
+
+  compile(options) {
+    return this.call('compile', options);
+  }
+
+  compileChecker(checkerName) {
+    return this.call('compileChecker', checkerName);
+  }
+
+  runProgram(options) {
+    return this.call('runProgram', options);
+  }
+
+  runChecker(options) {
+    return this.call('runChecker', options);
+  }
+
+  runInteractive(options) {
+    return this.call('runInteractive', options);
+  }
+
+  /**
+   * 在子进程中直接执行配置中的 shell 命令（不经过沙箱隔离），见 sandbox-runner.js 的 exec
+   * @param {{ command: string, cwd?: string, timeout: number }} options
+   * @returns {Promise<{ code: number|null, signal: string|null, timedOut: boolean, output: string }>}
+   */
+  exec(options) {
+    return this.call('exec', options);
+  }
+
+  /**
+   * 终止子进程及其创建的全部进程，进行中的调用以 reason 拒绝
+   */
+  kill(reason = new Error('Sandbox killed')) {
+    const child = this.child;
+    this.child = null;
+    this.rejectAll(reason);
+
+    if (child?.pid) {
+      killProcessTree(child.pid);
+      console.log(`[Sandbox] Killed sandbox process ${child.pid}`);
+    }
+  }
+
+  /**
+   * 结束会话：关闭与子进程的通道，子进程随之退出
+   */
+  close() {
+    this.signal?.removeEventListener('abort', this.onAbort);
+
+    const child = this.child;
+    this.child = null;
+    if (child?.connected) {
+      child.disconnect();
+    }
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Server-Sent Events 工具
+ */
+
+// 心跳间隔（毫秒），防止代理在无事件时断开连接
+const HEARTBEAT_INTERVAL = 15 * 1000;
+
+/**
+ * 接管响应并打开 SSE 流
+ * @param {object} request - Fastify request
+ * @param {object} reply - Fastify reply
+ * @param {function} [onClose] - 连接关闭（客户端断开或服务端结束）时调用
+ * @returns {{ send: function(string, object): void, close: function(): void }}
+ */
+export function openEventStream(request, reply, onClose) {
+  reply.hijack();
+
+  const res = reply.raw;
+  res.writeHead(200, {
+    ...reply.getHeaders(), // 保留 CORS 等插件设置的响应头
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  let closed = false;
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    onClose?.();
+    res.end();
+  };
+
+  // 请求流读完后也会触发 close，需监听响应流判断连接是否断开
+  res.on('close', close);
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  return { send, close };
+}
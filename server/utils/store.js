@@ -0,0 +1,111 @@
+/**
+ * 任务持久化模块
+ * 记录任务创建、状态变化与结果，服务重启后恢复任务
+ *
+ * 存储实现需提供以下方法：
+ *   - load(): 返回所有任务的最新记录数组
+ *   - save(record): 写入一条任务记录（同一任务的新记录覆盖旧记录）
+ *   - compact(records): 用给定记录整体替换存储内容
+ *   - needsCompaction(): 存储中过期记录是否已多到需要压缩
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// 默认存储文件路径
+const DEFAULT_STORE_PATH = '/tmp/judge-tasks/tasks.jsonl';
+
+// 文件超过该大小且超过上次压缩后大小的两倍时压缩
+const MIN_COMPACT_SIZE = 1024 * 1024; // 1 MB
+
+/**
+ * 不做持久化的存储（JUDGE_TASK_STORE=none 时使用）
+ */
+export class MemoryTaskStore {
+  load() {
+    return [];
+  }
+
+  save() {}
+
+  compact() {}
+
+  needsCompaction() {
+    return false;
+  }
+}
+
+/**
+ * 追加写入的 JSON Lines 文件存储
+ * 每次状态变化追加一行完整记录，加载时同一任务取最后一行
+ * 文件大小翻倍（且不小于 MIN_COMPACT_SIZE）后需要压缩，避免长时间运行时无限增长
+ */
+export class JsonLinesTaskStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0; // 当前文件大小（字节）
+    this.compactedSize = 0; // 上次压缩后的文件大小
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const records = new Map(); // id -> 最新记录
+    const lines = fs.readFileSync(this.filePath, 'utf-8').split('\n');
+    let skipped = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        const record = JSON.parse(line);
+        if (record && record.id) {
+          records.set(record.id, record);
+        }
+      } catch (e) {
+        // 进程崩溃时可能留下不完整的最后一行
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      console.warn(`[Store] Skipped ${skipped} malformed task records in ${this.filePath}`);
+    }
+
+    return Array.from(records.values());
+  }
+
+  save(record) {
+    const line = JSON.stringify(record) + '\n';
+    fs.appendFileSync(this.filePath, line, 'utf-8');
+    this.size += Buffer.byteLength(line);
+  }
+
+  compact(records) {
+    const tmpPath = `${this.filePath}.tmp`;
+    const content = records.map(record => JSON.stringify(record) + '\n').join('');
+
+    fs.writeFileSync(tmpPath, content, 'utf-8');
+    fs.renameSync(tmpPath, this.filePath);
+    this.size = this.compactedSize = Buffer.byteLength(content);
+  }
+
+  needsCompaction() {
+    return this.size > Math.max(MIN_COMPACT_SIZE, this.compactedSize * 2);
+  }
+}
+
+/**
+ * 根据配置创建任务存储
+ * @param {string} [location] - 存储文件路径，'none' 表示不持久化
+ */
+export function createTaskStore(location = DEFAULT_STORE_PATH) {
+  if (location === 'none') {
+    return new MemoryTaskStore();
+  }
+  return new JsonLinesTaskStore(location);
+}
@@ -0,0 +1,281 @@
+/**
+ * 分块上传模块
+ * 大文件按固定大小分块上传，中断后可查询已接收的分块并从缺失处继续，全部接收后合并为普通缓存条目
+ *
+ * 流程：创建会话 -> 逐块 PUT（可重传、可乱序）-> 提交时校验 SHA-256 并写入缓存
+ * 创建会话时按文件大小预留缓存容量，分块占用的磁盘空间计入缓存总容量，会话结束时释放
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import { cacheManager } from './cache.js';
+
+// 分块存储目录
+const UPLOAD_DIR = '/tmp/judge-uploads';
+
+// 默认分块大小（字节）
+export const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024; // 8MB
+
+// 分块大小上限（字节），需小于服务器的 bodyLimit
+export const MAX_CHUNK_SIZE = 64 * 1024 * 1024; // 64MB
+
+// 会话在无活动多久后过期（毫秒）
+const SESSION_TTL = 60 * 60 * 1000; // 1 小时
+
+/**
+ * 分块上传会话
+ */
+class UploadSession {
+  constructor({ type, fileName, size, chunkSize, ttl }) {
+    this.id = uuidv4();
+    this.type = type;
+    this.fileName = fileName;
+    this.size = size;
+    this.chunkSize = chunkSize;
+    this.chunkCount = Math.max(1, Math.ceil(size / chunkSize));
+    this.ttl = ttl;  // 合并后缓存条目的有效期（毫秒），null 表示常驻
+    this.received = new Set();  // 已接收的分块序号
+    this.writing = 0;           // 正在写入的分块数
+    this.finalizing = false;
+    this.reserved = false;      // 是否仍占用预留的缓存容量
+    this.createdAt = Date.now();
+    this.updatedAt = this.createdAt;
+  }
+
+  get dir() {
+    return path.join(UPLOAD_DIR, this.id);
+  }
+
+  chunkPath(index) {
+    return path.join(this.dir, String(index));
+  }
+
+  /**
+   * 指定分块的字节数（最后一块可能小于 chunkSize）
+   */
+  chunkLength(index) {
+    if (index < this.chunkCount - 1) {
+      return this.chunkSize;
+    }
+    return this.size - this.chunkSize * (this.chunkCount - 1);
+  }
+
+  /**
+   * 第一个尚未接收的分块序号，全部接收时返回 null
+   */
+  nextChunk() {
+    for (let i = 0; i < this.chunkCount; i++) {
+      if (!this.received.has(i)) {
+        return i;
+      }
+    }
+    return null;
+  }
+
+  isComplete() {
+    return this.received.size === this.chunkCount;
+  }
+
+  isExpired() {
+    return Date.now() > this.updatedAt + SESSION_TTL;
+  }
+
+  toJSON() {
+    return {
+      uploadId: this.id,
+      type: this.type,
+      fileName: this.fileName,
+      size: this.size,
+      chunkSize: this.chunkSize,
+      chunkCount: this.chunkCount,
+      receivedChunks: Array.from(this.received).sort((a, b) => a - b),
+      nextChunk: this.nextChunk(),
+      expiresAt: this.updatedAt + SESSION_TTL,
+    };
+  }
+}
+
+/**
+ * 分块上传管理器
+ */
+class UploadManager {
+  constructor() {
+    this.sessions = new Map();  // uploadId -> UploadSession
+    this.cleanupInterval = null;
+
+    // 会话只保存在内存中，上次运行留下的分块无法继续使用
+    fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+    this.startCleanup();
+  }
+
+  /**
+   * 创建上传会话
+   * @param {object} options
+   * @param {string} options.type - 缓存类型
+   * @param {string} options.fileName - 文件名
+   * @param {number} options.size - 文件总大小（字节）
+   * @param {number} options.chunkSize - 分块大小（字节）
+   * @param {number|null} [options.ttl] - 合并后缓存条目的有效期（毫秒）
+   * @returns {UploadSession}
+   * @throws {CacheFullError} 缓存容量不足以容纳该文件
+   */
+  create(options) {
+    const session = new UploadSession(options);
+    cacheManager.reserveSpace(session.size);
+    session.reserved = true;
+    fs.mkdirSync(session.dir, { recursive: true });
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * 获取会话，不存在或已过期时返回 null
+   */
+  get(uploadId) {
+    const session = this.sessions.get(uploadId);
+    if (!session) {
+      return null;
+    }
+    if (session.isExpired()) {
+      this.delete(uploadId);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * 写入一个分块（同一分块可重复上传，后写入的覆盖先前的）
+   * @param {UploadSession} session
+   * @param {number} index - 分块序号
+   * @param {import('stream').Readable} stream - 分块内容
+   * @returns {Promise<boolean>} 分块长度是否正确，长度不符时不记录该分块
+   * @throws {FileTooLargeError} 分块超过应有长度
+   */
+  async writeChunk(session, index, stream) {
+    const expected = session.chunkLength(index);
+
+    // 写入期间不允许提交，避免合并时分块被替换
+    session.writing++;
+    try {
+      // 会话创建时已为整个文件预留容量
+      const staged = await cacheManager.stageStream(stream, { maxSize: expected, reserve: false });
+
+      try {
+        if (staged.size !== expected) {
+          return false;
+        }
+        fs.renameSync(staged.tmpPath, session.chunkPath(index));
+        session.received.add(index);
+        session.updatedAt = Date.now();
+        return true;
+      } finally {
+        cacheManager.discardStaged(staged);
+      }
+    } finally {
+      session.writing--;
+    }
+  }
+
+  /**
+   * 按顺序合并所有分块并写入暂存文件
+   * @param {UploadSession} session - 需已接收全部分块
+   * @returns {Promise<{ tmpPath: string, size: number, hash: string }>} 同 cacheManager.stageStream
+   */
+  async assemble(session) {
+    const chunkPaths = Array.from({ length: session.chunkCount }, (_, i) => session.chunkPath(i));
+
+    const stream = Readable.from((async function* () {
+      for (const chunkPath of chunkPaths) {
+        yield* fs.createReadStream(chunkPath);
+      }
+    })());
+
+    return cacheManager.stageStream(stream, { maxSize: session.size, reserve: false });
+  }
+
+  /**
+   * 将合并结果登记为缓存条目并删除会话
+   * 登记前释放会话预留的容量，改由缓存条目占用；登记失败时会话随之删除
+   * @param {UploadSession} session
+   * @param {{ tmpPath: string, size: number, hash: string }} staged - assemble 的返回值
+   * @returns {string} 缓存 ID
+   * @throws {CacheFullError}
+   */
+  commit(session, staged) {
+    this.releaseSpace(session);
+
+    try {
+      return cacheManager.commitStaged(session.type, staged, { fileName: session.fileName }, { ttl: session.ttl });
+    } finally {
+      this.delete(session.id);
+    }
+  }
+
+  /**
+   * 释放会话预留的缓存容量
+   */
+  releaseSpace(session) {
+    if (session.reserved) {
+      cacheManager.releaseSpace(session.size);
+      session.reserved = false;
+    }
+  }
+
+  /**
+   * 删除会话及其分块
+   */
+  delete(uploadId) {
+    const session = this.sessions.get(uploadId);
+    if (session) {
+      fs.rmSync(session.dir, { recursive: true, force: true });
+      this.releaseSpace(session);
+      this.sessions.delete(uploadId);
+    }
+  }
+
+  /**
+   * 清理过期会话
+   */
+  cleanup() {
+    const expiredIds = [];
+
+    this.sessions.forEach((session, id) => {
+      if (session.isExpired() && !session.finalizing && session.writing === 0) {
+        expiredIds.push(id);
+      }
+    });
+
+    expiredIds.forEach(id => this.delete(id));
+
+    if (expiredIds.length > 0) {
+      console.log(`[Upload] Cleaned up ${expiredIds.length} expired upload sessions`);
+    }
+  }
+
+  /**
+   * 启动定期清理
+   */
+  startCleanup() {
+    // 每分钟清理一次
+    this.cleanupInterval = setInterval(() => {
+      this.cleanup();
+    }, 60 * 1000);
+  }
+
+  /**
+   * 停止清理
+   */
+  stopCleanup() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+}
+
+// 导出单例
+export const uploadManager = new UploadManager();
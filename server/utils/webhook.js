@@ -0,0 +1,98 @@
+/**
+ * Webhook 回调模块
+ * 任务结束后将任务信息 POST 到 callbackUrl，使用 JUDGE_TOKEN 做 HMAC 签名，失败时指数退避重试
+ */
+
+import { createHmac } from 'crypto';
+
+// 最大投递次数（含首次）
+const MAX_ATTEMPTS = 5;
+
+// 首次重试前的等待时间（毫秒），之后每次翻倍
+const RETRY_BASE_DELAY = 1000;
+
+// 单次请求超时（毫秒）
+const REQUEST_TIMEOUT = 10 * 1000;
+
+/**
+ * 计算请求体签名
+ * 接收方使用相同的 JUDGE_TOKEN 对原始请求体计算 HMAC-SHA256 并比对 X-Judge-Signature
+ */
+export function signPayload(body, secret) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * 校验回调地址（仅允许 http / https）
+ */
+export function isValidCallbackUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 投递回调，返回是否成功
+ * @param {string} url - 回调地址
+ * @param {object} payload - 请求体（任务 JSON）
+ * @param {object} options
+ * @param {function} [options.onAttempt] - 每次投递后调用，参数为投递记录
+ * @returns {Promise<boolean>}
+ */
+export async function deliverWebhook(url, payload, { onAttempt } = {}) {
+  const body = JSON.stringify(payload);
+  const signature = signPayload(body, process.env.JUDGE_TOKEN || '');
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const startedAt = Date.now();
+    const delivery = {
+      attempt,
+      timestamp: startedAt,
+      statusCode: null,
+      error: null,
+      duration: 0,
+    };
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Judge-Signature': signature,
+          'X-Judge-Task-Id': payload.id,
+          'X-Judge-Delivery-Attempt': String(attempt),
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+      });
+
+      delivery.statusCode = response.status;
+      if (!response.ok) {
+        delivery.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      delivery.error = error instanceof Error ? error.message : String(error);
+    }
+
+    delivery.duration = Date.now() - startedAt;
+    onAttempt?.(delivery);
+
+    if (!delivery.error) {
+      return true;
+    }
+
+    if (attempt < MAX_ATTEMPTS) {
+      const delay = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  return false;
+}
@@ -14,6 +14,9 @@ const TESTLIB_CHECKERS = [
   'rcmp4', 'rcmp6', 'rcmp9', 'rncmp', 'acmp'
 ];
 
+// 评测模式：oi 评测全部测试点，icpc 遇到第一个未通过的测试点即停止
+const JUDGE_MODES = ['oi', 'icpc'];
+
 /**
  * 获取运行状态描述
  */
@@ -67,6 +70,11 @@ export class Judge {
     this.language = options.language || 'cpp';
     this.timeLimit = options.timeLimit || 1000;     // ms
     this.memoryLimit = options.memoryLimit || 128 * 1024; // KB
+    this.mode = options.mode || 'oi';               // oi: 评测全部测试点, icpc: 遇到第一个未通过即停止
+
+    if (!JUDGE_MODES.includes(this.mode)) {
+      throw new Error(`Invalid judge mode: ${this.mode}. Valid modes: ${JUDGE_MODES.join(', ')}`);
+    }
   }
 
   /**
@@ -122,12 +130,13 @@ export class Judge {
    * @param {string} sourceCode - 源代码
    * @param {TestCase[]} testCases - 测试用例数组
    * @param {string} submissionId - 提交 ID
-   * @returns {Promise<{results: JudgeResult[], totalScore: number, status: string}>}
+   * @returns {Promise<{results: JudgeResult[], totalScore: number, status: string, failedIndex?: number|null}>}
    */
   async judge(sourceCode, testCases, submissionId) {
     console.log('=== 开始评测 ===');
     console.log(`提交 ID: ${submissionId}`);
     console.log(`检查器: ${this.checkerName}`);
+    console.log(`评测模式: ${this.mode}`);
     console.log(`测试点数量: ${testCases.length}`);
 
     // 1. 编译代码
@@ -155,6 +164,7 @@ export class Judge {
     const results = [];
     let totalScore = 0;
     let maxScore = 0;
+    let failedIndex = null;
 
     // 3. 运行每个测试点
     console.log('\n[3] 开始测试点评测...');
@@ -164,6 +174,12 @@ export class Judge {
       const testNum = i + 1;
       maxScore += testCase.score;
 
+      // ICPC 模式下已有未通过的测试点，跳过剩余测试点
+      if (failedIndex !== null) {
+        results.push(new JudgeResult({ status: 'skipped' }));
+        continue;
+      }
+
       console.log(`\n--- 测试点 ${testNum} ---`);
       console.log(`输入: "${testCase.input.trim()}"`);
       console.log(`期望: "${testCase.output.trim()}"`);
@@ -203,6 +219,9 @@ export class Judge {
           output: runResult.output,
           error: runResult.error
         }));
+        if (this.mode === 'icpc') {
+          failedIndex = i;
+        }
         continue;
       }
 
@@ -241,26 +260,44 @@ export class Judge {
         output: runResult.output,
         message: checkerResult.message
       }));
+
+      if (this.mode === 'icpc' && status !== 'accepted') {
+        failedIndex = i;
+      }
     }
 
     // 4. 清理临时文件
     console.log('\n[4] 清理临时文件...');
     ChikoJudgeSandbox.cleanupTempDir(compileResult.tempDir);
 
-    // 5. 汇总结果
-    const finalStatus = totalScore >= maxScore ? 'accepted' : 
-                        totalScore > 0 ? 'partial-accepted' : 'wrong-answer';
+    // 5. 汇总结果（ICPC 模式取第一个未通过测试点的状态）
+    let finalStatus;
+    if (this.mode === 'icpc') {
+      finalStatus = failedIndex === null ? 'accepted' : results[failedIndex].status;
+    } else {
+      finalStatus = totalScore >= maxScore ? 'accepted' : 
+                    totalScore > 0 ? 'partial-accepted' : 'wrong-answer';
+    }
 
     console.log('\n=== 评测结果汇总 ===');
     console.log(`总得分: ${totalScore}/${maxScore}`);
     console.log(`最终状态: ${finalStatus}`);
+    if (failedIndex !== null) {
+      console.log(`首个未通过测试点: ${failedIndex + 1}`);
+    }
 
-    return {
+    const summary = {
       results,
       totalScore,
       maxScore,
       status: finalStatus
     };
+
+    if (this.mode === 'icpc') {
+      summary.failedIndex = failedIndex;
+    }
+
+    return summary;
   }
 }
 
@@ -138,6 +138,32 @@ async function testTimeout() {
   return result;
 }
 
+async function testIcpcMode() {
+  console.log('\n' + '='.repeat(60));
+  console.log('测试 5: ICPC 模式（遇到第一个未通过测试点即停止）');
+  console.log('='.repeat(60) + '\n');
+
+  const judge = new Judge({ checkerName: 'ncmp', mode: 'icpc' });
+  const result = await judge.judge(wrongCode, testCases, 'test_icpc');
+
+  console.log('\n--- 结果 ---');
+  result.results.forEach((r, i) => {
+    console.log(`测试点 ${i + 1}: ${r.status}`);
+  });
+  console.log(`最终状态: ${result.status}`);
+  console.log(`首个未通过测试点: ${result.failedIndex === null ? '无' : result.failedIndex + 1}`);
+
+  // 未知的评测模式直接报错，不按默认模式评测
+  try {
+    new Judge({ checkerName: 'ncmp', mode: 'ioi' });
+    console.log('未知评测模式: 未报错');
+  } catch (error) {
+    console.log(`未知评测模式: ${error.message}`);
+  }
+
+  return result;
+}
+
 async function main() {
   console.log('╔════════════════════════════════════════════════════════════╗');
   console.log('║           评测机原型 - A+B 问题完整测试                      ║');
@@ -148,6 +174,7 @@ async function main() {
     await testWrongSolution();
     await testCompileError();
     await testTimeout();
+    await testIcpcMode();
 
     console.log('\n' + '='.repeat(60));
     console.log('所有测试完成');
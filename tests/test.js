@@ -5,7 +5,14 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import zlib from 'zlib';
+import { createHash, createHmac } from 'crypto';
+import http from 'http';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import os from 'os';
+import tar from 'tar-stream';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -191,6 +198,39 @@ async function uploadFile(filePath, type) {
   return result;
 }
 
+// 以 JSON 直接提交文件内容（POST /cache）
+async function uploadInline(content, type = 'source', options = {}) {
+  return await request('POST', '/cache', { type, content, ...options });
+}
+
+// 编译源代码，返回编译任务结果
+async function compileSource(sourceCacheId, options = {}) {
+  const compileTask = await request('POST', '/compile', {
+    sourceCacheId,
+    language: 'cpp',
+    ...options,
+  });
+  return await pollTask(compileTask.taskId);
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+// 服务端模块的 URL（用于在子进程中直接加载）
+function serverModule(name) {
+  return pathToFileURL(path.resolve(__dirname, '../server/utils', name)).href;
+}
+
+// 在独立的 Node.js 进程中运行脚本（直接加载服务端模块，不影响正在运行的服务器），返回最后一行输出的 JSON
+async function runServerScript(script, env = {}) {
+  const { stdout } = await promisify(execFile)(process.execPath, ['--input-type=module', '-e', script], {
+    env: { ...process.env, ...env },
+    timeout: 30000,
+  });
+  return JSON.parse(stdout.trim().split('\n').pop());
+}
+
 // ========== 测试函数 ==========
 
 async function testHealthCheck() {
@@ -290,6 +330,93 @@ async function testCorrectSolution() {
   return { binaryCacheId, uploadedCases };
 }
 
+async function testBatchJudge(binaryCacheId, uploadedCases) {
+  printHeader('测试 2.1: 批量评测（一个任务评测全部测试点）');
+  
+  printSection('提交批量评测');
+  const batchTask = await request('POST', '/judge-batch', {
+    binaryCacheId,
+    cases: uploadedCases.map(tc => ({
+      inputCacheId: tc.inputCacheId,
+      outputCacheId: tc.outputCacheId,
+      score: 20,
+    })),
+    checkerName: 'ncmp',
+    timeLimit: 1000,
+    memoryLimit: 128 * 1024,
+  });
+  
+  const result = await pollTask(batchTask.taskId);
+  
+  printSection('结果汇总');
+  for (const r of result.result?.results || []) {
+    const statusColor = r.status === 'accepted' ? colors.green : colors.red;
+    print(`    #${r.index + 1}: ${r.status} (score=${r.score}/${r.maxScore})`, statusColor);
+  }
+  print(`  总分: ${result.result?.totalScore}/${result.result?.maxScore}`,
+    result.result?.status === 'accepted' ? colors.green : colors.yellow);
+  
+  if (result.result?.status === 'accepted') {
+    printSuccess('批量评测全部通过');
+  } else {
+    printError(`批量评测结果: ${result.result?.status}`);
+  }
+}
+
+async function testSubtaskJudge(binaryCacheId, uploadedCases) {
+  printHeader('测试 2.2: 批量评测子任务计分');
+
+  const cases = uploadedCases.map(tc => ({
+    inputCacheId: tc.inputCacheId,
+    outputCacheId: tc.outputCacheId,
+  }));
+
+  printSection('提交子任务评测');
+  printInfo('子任务 0 取最小值，子任务 1 取平均值并依赖子任务 0');
+  const subtaskTask = await request('POST', '/judge-batch', {
+    binaryCacheId,
+    cases,
+    subtasks: [
+      { cases: [0, 1], score: 40, policy: 'min' },
+      { cases: [2, 3, 4], score: 60, policy: 'sum', dependencies: [0] },
+    ],
+    checkerName: 'ncmp',
+  });
+
+  const result = await pollTask(subtaskTask.taskId);
+
+  printSection('结果汇总');
+  for (const s of result.result?.subtasks || []) {
+    const statusColor = s.status === 'accepted' ? colors.green : colors.red;
+    print(`    子任务 ${s.index}: ${s.status} (score=${s.score}/${s.maxScore}, policy=${s.policy})`, statusColor);
+  }
+
+  if (result.result?.totalScore === 100 && result.result?.maxScore === 100) {
+    printSuccess('子任务得分正确');
+  } else {
+    printError(`子任务总分: ${result.result?.totalScore}/${result.result?.maxScore}`);
+  }
+
+  if ((result.result?.results || []).every(r => r.score === undefined)) {
+    printSuccess('按子任务计分时测试点结果不含 score');
+  } else {
+    printError('测试点结果中出现了 score');
+  }
+
+  printSection('测试点分数与子任务同时指定');
+  const rejected = await request('POST', '/judge-batch', {
+    binaryCacheId,
+    cases: cases.map(tc => ({ ...tc, score: 20 })),
+    subtasks: [{ cases: cases.map((_, i) => i), score: 100 }],
+  });
+
+  if (rejected.error && !rejected.taskId) {
+    printSuccess('测试点 score 与 subtasks 同时指定被拒绝');
+  } else {
+    printError('测试点 score 与 subtasks 同时指定未被拒绝');
+  }
+}
+
 async function testWrongSolution() {
   printHeader('测试 3: A+B 错误解法（观察错误处理）');
   
@@ -405,6 +532,41 @@ async function testWrongSolution() {
   }
   
   console.log('  └─────────────────────────────┴──────────────────┴───────┘');
+  
+  return { binaryCacheId, uploadedCases };
+}
+
+async function testIcpcBatch(binaryCacheId, uploadedCases) {
+  printHeader('测试 3.1: ICPC 模式批量评测（遇到第一个未通过测试点即停止）');
+  
+  printSection('提交 ICPC 模式批量评测');
+  printInfo('第 2 个测试点答案错误，之后的测试点应被跳过');
+  const batchTask = await request('POST', '/judge-batch', {
+    binaryCacheId,
+    cases: uploadedCases.map(tc => ({
+      inputCacheId: tc.inputCacheId,
+      outputCacheId: tc.outputCacheId,
+      timeLimit: tc.timeLimit,
+    })),
+    mode: 'icpc',
+    checkerName: 'ncmp',
+  });
+  
+  const result = await pollTask(batchTask.taskId);
+  
+  printSection('结果汇总');
+  for (const r of result.result?.results || []) {
+    const statusColor = r.status === 'accepted' ? colors.green :
+                        r.status === 'skipped' ? colors.dim : colors.red;
+    print(`    #${r.index + 1}: ${r.status}`, statusColor);
+  }
+  
+  const skipped = (result.result?.results || []).slice(2).every(r => r.status === 'skipped');
+  if (result.result?.failedIndex === 1 && result.result?.status === 'wrong-answer' && skipped) {
+    printSuccess('在第一个未通过的测试点停止，其余测试点已跳过');
+  } else {
+    printError(`ICPC 模式结果: ${result.result?.status} (failedIndex=${result.result?.failedIndex})`);
+  }
 }
 
 async function testFileIO() {
@@ -668,6 +830,1119 @@ async function testCustomChecker() {
   }
 }
 
+/**
+ * 编译死循环程序并提交运行任务，等待任务开始执行
+ * @returns {Promise<string|null>} 任务 ID，编译失败时返回 null
+ */
+async function startEndlessRun(timeLimit, inputCacheId = null) {
+  printSection('编译死循环程序');
+  const source = await uploadInline('int main() { for (;;); }\n');
+  const compileResult = await compileSource(source.cacheId);
+  
+  if (!compileResult.result?.success) {
+    printError('编译失败');
+    return null;
+  }
+  
+  inputCacheId ??= (await uploadInline('0\n', 'input')).cacheId;
+  
+  printSection('提交运行任务并等待开始执行');
+  const runTask = await request('POST', '/run', {
+    binaryCacheId: compileResult.result.binaryCacheId,
+    inputCacheId,
+    timeLimit,
+  });
+  
+  for (let i = 0; i < 20; i++) {
+    const task = await request('GET', `/task/${runTask.taskId}`);
+    if (task.status === 'running') break;
+    await sleep(250);
+  }
+  
+  return runTask.taskId;
+}
+
+async function testCancelTask() {
+  printHeader('测试 8: 取消运行中的任务');
+  
+  const taskId = await startEndlessRun(30000);
+  if (!taskId) return;
+  
+  printSection('取消任务');
+  await request('DELETE', `/task/${taskId}`);
+  
+  // 沙箱进程被直接终止，worker 应立即释放，而不是等到 30 秒时间限制
+  await sleep(1000);
+  const task = await request('GET', `/task/${taskId}`);
+  const status = await request('GET', '/status');
+  
+  if (task.status === 'cancelled' && status.queue?.activeWorkers === 0) {
+    printSuccess('任务已取消，沙箱进程已终止，worker 已释放');
+  } else {
+    printError(`任务状态: ${task.status}，activeWorkers: ${status.queue?.activeWorkers}`);
+  }
+}
+
+async function testTaskTimeout() {
+  printHeader('测试 8.1: 任务执行超时');
+  
+  // 超时按任务类型配置，需要服务端与本脚本使用同一 .env，且 run 任务超时较短（如 3000）
+  const timeout = Number(env.JUDGE_TASK_TIMEOUT_RUN ?? env.JUDGE_TASK_TIMEOUT);
+  if (!(timeout > 0)) {
+    printInfo('未配置 JUDGE_TASK_TIMEOUT_RUN，跳过');
+    return;
+  }
+  printInfo(`run 任务超时: ${timeout}ms`);
+  
+  // 时间限制远大于任务超时，任务应因超时失败而不是 TLE
+  const taskId = await startEndlessRun(timeout + 30000);
+  if (!taskId) return;
+  
+  const task = await pollTask(taskId, Math.ceil(timeout / 500) + 40);
+  await sleep(1000);
+  const status = await request('GET', '/status');
+  
+  if (task.status === 'failed' && task.reason === 'timeout' && status.queue?.activeWorkers === 0) {
+    printSuccess(`任务在 ${task.completedAt - task.startedAt}ms 后超时，沙箱进程已终止，worker 已释放`);
+  } else {
+    printError(`任务状态: ${task.status}，reason: ${task.reason}，activeWorkers: ${status.queue?.activeWorkers}`);
+  }
+}
+
+async function testLongPoll(binaryCacheId, uploadedCases) {
+  printHeader('测试 8.2: 长轮询等待任务结束');
+  
+  printSection('提交评测，用 wait 等待结果');
+  const judgeTask = await request('POST', '/judge', {
+    binaryCacheId,
+    inputCacheId: uploadedCases[0].inputCacheId,
+    outputCacheId: uploadedCases[0].outputCacheId,
+    checkerName: 'ncmp',
+  });
+  
+  // 一次请求即可拿到结束后的任务
+  const task = await request('GET', `/task/${judgeTask.taskId}?wait=30`);
+  if (task.status === 'completed' || task.status === 'failed') {
+    printSuccess(`一次请求返回结束状态: ${task.status}`);
+  } else {
+    printError(`任务状态: ${task.status}`);
+  }
+  
+  printSection('任务未结束时 wait 到期返回当前状态');
+  const taskId = await startEndlessRun(30000);
+  if (!taskId) return;
+  
+  const startedAt = Date.now();
+  const running = await request('GET', `/task/${taskId}?wait=2`);
+  const elapsed = Date.now() - startedAt;
+  await request('DELETE', `/task/${taskId}`);
+  
+  if (running.status === 'running' && elapsed >= 1900) {
+    printSuccess(`等待 ${elapsed}ms 后返回 running`);
+  } else {
+    printError(`任务状态: ${running.status}，等待 ${elapsed}ms`);
+  }
+}
+
+async function testCacheRefs() {
+  printHeader('测试 9: 缓存引用计数（PATCH / DELETE）');
+  
+  // 两个客户端写入同一内容：一个常驻，一个使用默认有效期
+  const content = `shared-${Date.now()}\n`;
+  const pinned = await uploadInline(content, 'input', { pinned: true });
+  const shared = await uploadInline(content, 'input');
+  
+  if (pinned.cacheId !== shared.cacheId) {
+    printError('同一内容未去重');
+    return;
+  }
+  
+  printSection('有其他引用时不能取消常驻');
+  const unpin = await request('PATCH', `/cache/${pinned.cacheId}`, { pinned: false });
+  if (unpin.error) {
+    printSuccess('取消常驻被拒绝');
+  } else {
+    printError(`取消常驻未被拒绝: pinned=${unpin.pinned}`);
+  }
+  
+  printSection('释放引用');
+  const first = await request('DELETE', `/cache/${pinned.cacheId}`);
+  const meta = await request('GET', `/cache/${pinned.cacheId}/meta`);
+  if (first.refs === 1 && meta.pinned) {
+    printSuccess('释放一个引用后缓存仍然常驻');
+  } else {
+    printError(`剩余引用: ${first.refs}，pinned: ${meta.pinned}`);
+  }
+  
+  const last = await request('DELETE', `/cache/${pinned.cacheId}`);
+  const missing = await request('GET', `/cache/${pinned.cacheId}/meta`);
+  if (last.refs === 0 && missing.error) {
+    printSuccess('最后一个引用释放后缓存已删除');
+  } else {
+    printError(`剩余引用: ${last.refs}，缓存仍存在`);
+  }
+}
+
+async function testChunkedUpload() {
+  printHeader('测试 10: 分块上传与断点续传');
+  
+  const content = Buffer.from(`${'1 2\n'.repeat(5)}chunked-${Date.now()}\n`);
+  const chunkSize = 8;
+  
+  const putChunk = async (uploadId, index) => {
+    printRequest('PUT', `/upload/chunked/${uploadId}/${index}`, `(${chunkSize} bytes max)`);
+    const response = await fetch(`${API_URL}/upload/chunked/${uploadId}/${index}`, {
+      method: 'PUT',
+      headers: { 'X-Auth-Token': TOKEN, 'Content-Type': 'application/octet-stream' },
+      body: content.subarray(index * chunkSize, (index + 1) * chunkSize),
+    });
+    const result = await response.json();
+    printResponse(result);
+    return result;
+  };
+  
+  printSection('创建会话并上传部分分块');
+  const session = await request('POST', '/upload/chunked', {
+    type: 'input',
+    fileName: 'chunked.in',
+    size: content.length,
+    chunkSize,
+  });
+  
+  // 模拟中断：跳过第 1 块
+  for (let i = 0; i < session.chunkCount; i++) {
+    if (i !== 1) {
+      await putChunk(session.uploadId, i);
+    }
+  }
+  
+  printSection('查询进度并续传');
+  const progress = await request('GET', `/upload/chunked/${session.uploadId}`);
+  if (progress.nextChunk !== 1) {
+    printError(`nextChunk 应为 1，实际为 ${progress.nextChunk}`);
+    return;
+  }
+  await putChunk(session.uploadId, progress.nextChunk);
+  
+  printSection('提交并校验');
+  const sha256 = createHash('sha256').update(content).digest('hex');
+  const uploaded = await request('POST', `/upload/chunked/${session.uploadId}/finalize`, { sha256 });
+  
+  if (uploaded.hash === sha256 && uploaded.size === content.length) {
+    printSuccess(`合并完成: ${uploaded.cacheId}`);
+  } else {
+    printError('合并结果与原文件不符');
+  }
+}
+
+/**
+ * 生成 tar.gz 压缩包
+ * @param {Array<{ name: string, content?: string, zeros?: number }>} entries - zeros 为以零字节填充的长度
+ */
+async function buildTarGz(entries) {
+  const pack = tar.pack();
+  const gzip = zlib.createGzip({ level: 1 });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    gzip.on('data', chunk => chunks.push(chunk));
+    gzip.on('end', resolve);
+    gzip.on('error', reject);
+  });
+  pack.pipe(gzip);
+  
+  for (const { name, content, zeros } of entries) {
+    if (zeros === undefined) {
+      pack.entry({ name }, content);
+      continue;
+    }
+    
+    const entry = pack.entry({ name, size: zeros });
+    const block = Buffer.alloc(1024 * 1024);
+    for (let left = zeros; left > 0; left -= block.length) {
+      if (!entry.write(left >= block.length ? block : block.subarray(0, left))) {
+        await new Promise(resolve => entry.once('drain', resolve));
+      }
+    }
+    await new Promise(resolve => entry.end(resolve));
+  }
+  
+  pack.finalize();
+  await done;
+  return Buffer.concat(chunks);
+}
+
+// 构造 zip（每个条目以 deflate 压缩），compressed 可替换压缩后的数据
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  
+  for (const { name, content, compressed = zlib.deflateRawSync(content) } of entries) {
+    const nameBuffer = Buffer.from(name);
+    const crc = zlib.crc32(content);
+    
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);                 // 解压所需版本
+    local.writeUInt16LE(8, 8);                  // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+  
+  const centralSize = centrals.reduce((sum, buffer) => sum + buffer.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+async function uploadArchive(buffer, fileName) {
+  printRequest('POST', '/upload/archive', `(multipart: file=${fileName}, ${buffer.length} bytes)`);
+  
+  const formData = new FormData();
+  formData.append('file', new Blob([buffer]), fileName);
+  
+  const response = await fetch(`${API_URL}/upload/archive`, {
+    method: 'POST',
+    headers: { 'X-Auth-Token': TOKEN },
+    body: formData,
+  });
+  
+  const result = await response.json();
+  printResponse(result);
+  return { status: response.status, ...result };
+}
+
+// 上传内存中的数据（POST /upload），返回值包含 HTTP 状态码
+async function uploadBuffer(buffer, fileName, type) {
+  printRequest('POST', '/upload', `(multipart: type=${type}, file=${fileName}, ${buffer.length} bytes)`);
+  
+  const formData = new FormData();
+  formData.append('type', type);
+  formData.append('file', new Blob([buffer]), fileName);
+  
+  const response = await fetch(`${API_URL}/upload`, {
+    method: 'POST',
+    headers: { 'X-Auth-Token': TOKEN },
+    body: formData,
+  });
+  
+  const result = await response.json();
+  printResponse(result);
+  return { status: response.status, ...result };
+}
+
+async function testArchiveUpload() {
+  printHeader('测试 11: 上传测试数据压缩包');
+  
+  printSection('正常压缩包');
+  const archive = await buildTarGz([
+    { name: 'data/1.in', content: '1 2\n' },
+    { name: 'data/1.out', content: '3\n' },
+    { name: 'data/2.in', content: '2 2\n' },
+    { name: 'data/2.ans', content: '4\n' },
+    { name: 'data/readme.txt', content: 'skipped\n' },
+  ]);
+  const result = await uploadArchive(archive, 'data.tar.gz');
+  
+  if (result.manifest?.length === 2 && result.skipped?.includes('data/readme.txt')) {
+    printSuccess(`解析出 ${result.manifest.length} 个测试点`);
+  } else {
+    printError(`解析结果不符: ${JSON.stringify(result)}`);
+  }
+  
+  printSection('含 .. 路径的压缩包（zip-slip）');
+  const slip = await uploadArchive(await buildTarGz([
+    { name: '../evil.in', content: '1\n' },
+    { name: '../evil.out', content: '1\n' },
+  ]), 'slip.tar.gz');
+  
+  if (slip.status === 400) {
+    printSuccess('不安全的路径被拒绝');
+  } else {
+    printError(`状态码: ${slip.status}`);
+  }
+  
+  printSection('解压炸弹（单个文件解压后超过 1GB）');
+  const bomb = await uploadArchive(await buildTarGz([
+    { name: '1.in', zeros: 1024 * 1024 * 1024 + 1 },
+    { name: '1.out', content: '0\n' },
+  ]), 'bomb.tar.gz');
+  
+  // 缓存容量小于 1GB 时解压过程中先因容量不足中止
+  if (bomb.status === 413 || bomb.status === 507) {
+    printSuccess('超过大小上限的解压内容被拒绝');
+  } else {
+    printError(`状态码: ${bomb.status}`);
+  }
+  
+  printSection('数据损坏的压缩包');
+  const zip = buildZip([
+    { name: '1.in', content: Buffer.from('1 2\n') },
+    { name: '1.out', content: Buffer.from('3\n') },
+  ]);
+  const validZip = await uploadArchive(zip, 'data.zip');
+  
+  // deflate 数据全部替换为 0xff（无效的块类型）
+  const corruptZip = await uploadArchive(buildZip([
+    { name: '1.in', content: Buffer.from('1 2\n'), compressed: Buffer.alloc(8, 0xff) },
+    { name: '1.out', content: Buffer.from('3\n') },
+  ]), 'corrupt.zip');
+  
+  // 损坏位置在第一个文件的内容中，解压该文件的过程中出错
+  const gzip = await buildTarGz([
+    { name: '1.in', zeros: 1024 * 1024 },
+    { name: '1.out', content: '0\n' },
+  ]);
+  gzip.fill(0xff, gzip.length >> 1, (gzip.length >> 1) + 16);
+  const corruptGzip = await uploadArchive(gzip, 'corrupt.tar.gz');
+  
+  if (validZip.manifest?.length === 1 && corruptZip.status === 400 && corruptGzip.status === 400) {
+    printSuccess('正常的 zip 解析成功，损坏的 zip 与 tar.gz 返回 400');
+  } else {
+    printError(`状态码: zip ${validZip.status}，损坏的 zip ${corruptZip.status}，损坏的 tar.gz ${corruptGzip.status}`);
+  }
+}
+
+const APB_SOURCE = `#include <iostream>
+int main() {
+    long long a, b;
+    std::cin >> a >> b;
+    std::cout << a + b << std::endl;
+    return 0;
+}
+`;
+
+async function testSubmit() {
+  printHeader('测试 12: 一次提交（编译并评测 / 运行）');
+  
+  printSection('编译并评测');
+  const judgeTask = await request('POST', '/submit', {
+    source: APB_SOURCE,
+    input: '1 2\n',
+    output: '3\n',
+    checkerName: 'ncmp',
+  });
+  const judged = await pollTask(judgeTask.taskId);
+  
+  if (judged.result?.action === 'judge' && judged.result.compile?.success && judged.result.result?.status === 'accepted') {
+    printSuccess('编译并评测通过');
+  } else {
+    printError(`结果: ${JSON.stringify(judged.result)}`);
+  }
+  
+  printSection('编译并运行（复用已写入缓存的源代码）');
+  const runTask = await request('POST', '/submit', {
+    sourceCacheId: judgeTask.sourceCacheId,
+    input: '20 22\n',
+  });
+  const ran = await pollTask(runTask.taskId);
+  
+  if (ran.result?.action === 'run' && ran.result.result?.output?.trim() === '42') {
+    printSuccess('运行输出正确');
+  } else {
+    printError(`结果: ${JSON.stringify(ran.result)}`);
+  }
+  
+  printSection('编译失败');
+  const failTask = await request('POST', '/submit', {
+    source: 'int main() { return }\n',
+    input: '1 2\n',
+  });
+  const failed = await pollTask(failTask.taskId);
+  
+  if (failed.result?.compile?.success === false && failed.result.result === null) {
+    printSuccess('编译失败时不运行程序');
+  } else {
+    printError(`结果: ${JSON.stringify(failed.result)}`);
+  }
+}
+
+async function testCompileOptions() {
+  printHeader('测试 13: 编译选项白名单');
+  
+  const source = await uploadInline(APB_SOURCE);
+  
+  const rejected = [
+    ['不在可选值中的 standard', { standard: 'gnu++2b' }],
+    ['未声明的选项', { flags: '-fplugin=evil.so' }],
+    ['不合法的宏定义', { defines: ['X;rm -rf /'] }],
+  ];
+  
+  for (const [title, compileOptions] of rejected) {
+    printSection(title);
+    const result = await request('POST', '/compile', {
+      sourceCacheId: source.cacheId,
+      language: 'cpp',
+      compileOptions,
+    });
+    if (result.error && !result.taskId) {
+      printSuccess('被拒绝');
+    } else {
+      printError('未被拒绝');
+    }
+  }
+  
+  printSection('合法的编译选项');
+  const compiled = await compileSource(source.cacheId, {
+    compileOptions: { standard: 'c++20', optimization: 0, defines: ['LOCAL', 'N=10'] },
+  });
+  
+  if (compiled.result?.success) {
+    printSuccess('编译成功');
+  } else {
+    printError(`编译失败: ${compiled.result?.compileInfo ?? compiled.error}`);
+  }
+}
+
+async function testExtraFiles() {
+  printHeader('测试 14: 附带额外文件编译（grader）');
+  
+  // 选手只实现 add，main 在 grader.cpp 中，声明在 add.h 中
+  const header = await uploadInline('long long add(long long a, long long b);\n', 'source', { fileName: 'add.h' });
+  const grader = await uploadInline(`#include <iostream>
+#include "add.h"
+int main() {
+    long long a, b;
+    std::cin >> a >> b;
+    std::cout << add(a, b) << std::endl;
+    return 0;
+}
+`, 'source', { fileName: 'grader.cpp' });
+  const solution = await uploadInline('#include "add.h"\nlong long add(long long a, long long b) { return a + b; }\n');
+  
+  const extraFiles = [
+    { cacheId: header.cacheId, fileName: 'add.h' },
+    { cacheId: grader.cacheId, fileName: 'grader.cpp' },
+  ];
+  
+  printSection('与 grader 一同编译并运行');
+  const runTask = await request('POST', '/submit', {
+    sourceCacheId: solution.cacheId,
+    language: 'cpp',
+    extraFiles,
+    input: '20 22\n',
+  });
+  const ran = await pollTask(runTask.taskId);
+  
+  if (ran.result?.compile?.success && ran.result.result?.output?.trim() === '42') {
+    printSuccess('运行输出正确');
+  } else {
+    printError(`结果: ${JSON.stringify(ran.result)}`);
+  }
+  
+  printSection('缺少 grader 时链接失败');
+  const missing = await compileSource(solution.cacheId, { extraFiles: [extraFiles[0]] });
+  
+  if (missing.result?.success === false) {
+    printSuccess('编译失败');
+  } else {
+    printError(`结果: ${JSON.stringify(missing.result)}`);
+  }
+  
+  printSection('与源文件或编译产物重名的额外文件');
+  for (const fileName of ['main.cpp', 'program']) {
+    const result = await request('POST', '/compile', {
+      sourceCacheId: solution.cacheId,
+      language: 'cpp',
+      extraFiles: [{ cacheId: grader.cacheId, fileName }],
+    });
+    if (result.error && !result.taskId) {
+      printSuccess(`${fileName} 被拒绝`);
+    } else {
+      printError(`${fileName} 未被拒绝`);
+    }
+  }
+}
+
+async function testCompileCache() {
+  printHeader('测试 15: 编译缓存');
+  
+  // 源代码带上时间戳，保证第一次编译不会命中之前运行留下的缓存（产物仍可能与其他测试的产物相同）
+  const source = await uploadInline(`${APB_SOURCE}// ${Date.now()}\n`);
+  
+  printSection('首次编译');
+  const first = await compileSource(source.cacheId);
+  
+  if (first.result?.success && first.result.cached === false) {
+    printSuccess(`编译成功: ${first.result.binaryCacheId}`);
+  } else {
+    printError(`结果: ${JSON.stringify(first.result)}`);
+    return;
+  }
+  
+  const binaryMeta = () => request('GET', `/cache/${first.result.binaryCacheId}/meta`);
+  const { refs } = await binaryMeta();
+  
+  printSection('相同的源代码与编译参数再次编译');
+  const second = await compileSource(source.cacheId);
+  
+  if (second.result?.cached === true && second.result.binaryCacheId === first.result.binaryCacheId) {
+    printSuccess('命中编译缓存，返回同一产物');
+  } else {
+    printError(`结果: ${JSON.stringify(second.result)}`);
+  }
+  
+  const meta = await binaryMeta();
+  if (meta.refs === refs + 1) {
+    printSuccess('命中缓存时增加了一个引用');
+  } else {
+    printError(`引用数: ${refs} -> ${meta.refs}`);
+  }
+  
+  printSection('不同的编译参数');
+  const other = await compileSource(source.cacheId, { compileOptions: { defines: ['UNUSED'] } });
+  
+  if (other.result?.cached !== false) {
+    printError(`结果: ${JSON.stringify(other.result)}`);
+  } else if (other.result.binaryCacheId !== first.result.binaryCacheId) {
+    printSuccess('重新编译');
+  } else {
+    // 产物按内容去重，两次编译的参数分别记录
+    const compiles = ((await binaryMeta()).compiles ?? []).filter(c => c.originalSource === source.cacheId);
+    if (compiles.length === 2 && compiles.some(c => c.compileOptions.defines?.includes('UNUSED'))) {
+      printSuccess('重新编译，产物相同，两次编译的参数分别记录');
+    } else {
+      printError(`compiles: ${JSON.stringify(compiles)}`);
+    }
+  }
+}
+
+async function testPythonSubmission() {
+  printHeader('测试 16: Python 提交');
+  
+  printSection('编译并运行');
+  const runTask = await request('POST', '/submit', {
+    language: 'python3',
+    source: 'a, b = map(int, input().split())\nprint(a + b)\n',
+    input: '20 22\n',
+  });
+  const ran = await pollTask(runTask.taskId);
+  
+  if (ran.result?.compile?.success && ran.result.result?.output?.trim() === '42') {
+    printSuccess('运行输出正确');
+  } else {
+    printError(`结果: ${JSON.stringify(ran.result)}`);
+  }
+  
+  const meta = ran.result?.compile?.binaryCacheId
+    && await request('GET', `/cache/${ran.result.compile.binaryCacheId}/meta`);
+  if (meta?.metadata?.language === 'python3') {
+    printSuccess('编译产物记录了语言 python3');
+  } else {
+    printError(`元数据: ${JSON.stringify(meta?.metadata)}`);
+  }
+  
+  printSection('语法错误');
+  const failTask = await request('POST', '/submit', {
+    language: 'python3',
+    source: 'def f(:\n',
+    input: '\n',
+  });
+  const failed = await pollTask(failTask.taskId);
+  
+  if (failed.result?.compile?.success === false && failed.result.result === null) {
+    printSuccess('语法错误时编译失败');
+  } else {
+    printError(`结果: ${JSON.stringify(failed.result)}`);
+  }
+}
+
+async function testWebSocket() {
+  printHeader('测试 17: WebSocket 控制通道');
+  
+  // Node.js 22 起内置 WebSocket
+  if (typeof WebSocket === 'undefined') {
+    printInfo('当前 Node.js 没有内置 WebSocket，跳过');
+    return;
+  }
+  
+  const socket = new WebSocket(`${API_URL.replace(/^http/, 'ws')}/ws?token=${encodeURIComponent(TOKEN)}`);
+  const messages = [];
+  const waiters = [];
+  
+  socket.addEventListener('message', (event) => {
+    const message = JSON.parse(event.data);
+    messages.push(message);
+    [...waiters].forEach(waiter => waiter());
+  });
+  
+  // 等待第一条满足条件的消息
+  const waitFor = (predicate, timeout = 30000) => new Promise((resolve, reject) => {
+    const check = () => {
+      const found = messages.find(predicate);
+      if (found) {
+        waiters.splice(waiters.indexOf(check), 1);
+        clearTimeout(timer);
+        resolve(found);
+      }
+    };
+    const timer = setTimeout(() => {
+      waiters.splice(waiters.indexOf(check), 1);
+      reject(new Error('WebSocket message timeout'));
+    }, timeout);
+    waiters.push(check);
+    check();
+  });
+  
+  const call = (message) => {
+    printRequest('WS', message.url ?? message.type, message);
+    socket.send(JSON.stringify(message));
+    return waitFor(m => m.id === message.id).then((response) => {
+      printResponse(response);
+      return response;
+    });
+  };
+  
+  await new Promise((resolve, reject) => {
+    socket.addEventListener('open', resolve);
+    socket.addEventListener('error', () => reject(new Error('WebSocket connection failed')));
+  });
+  
+  try {
+    printSection('连接时推送队列状态');
+    const queue = await waitFor(m => m.type === 'queue');
+    if (queue.queue) {
+      printSuccess('收到队列状态');
+    } else {
+      printError(`消息: ${JSON.stringify(queue)}`);
+    }
+    
+    printSection('转发 HTTP 请求');
+    const health = await call({ id: 1, type: 'request', method: 'GET', url: '/health' });
+    if (health.type === 'response' && health.statusCode === 200 && health.body?.status === 'ok') {
+      printSuccess('请求已转发');
+    } else {
+      printError(`响应: ${JSON.stringify(health)}`);
+    }
+    
+    printSection('不支持的 method');
+    const bogus = await call({ id: 2, type: 'request', method: 'BREW', url: '/health' });
+    const invalid = await call({ id: 3, type: 'request', method: 42, url: '/health' });
+    if (bogus.type === 'error' && invalid.type === 'error') {
+      printSuccess('返回错误消息');
+    } else {
+      printError(`响应: ${JSON.stringify([bogus, invalid])}`);
+    }
+    
+    printSection('提交任务并接收完成通知');
+    const submitted = await call({
+      id: 4,
+      type: 'request',
+      method: 'POST',
+      url: '/submit',
+      body: { source: APB_SOURCE, input: '20 22\n' },
+    });
+    const taskId = submitted.body?.taskId;
+    const finished = taskId && await waitFor(m => m.type === 'task' && m.task.id === taskId, 120000);
+    if (finished?.task.result?.result?.output?.trim() === '42') {
+      printSuccess('收到任务完成通知，连接在错误消息后仍可用');
+    } else {
+      printError(`任务: ${JSON.stringify(finished?.task ?? submitted)}`);
+    }
+  } finally {
+    socket.close();
+  }
+}
+
+async function testEventStream() {
+  printHeader('测试 18: 任务事件流（SSE）');
+  
+  const task = await request('POST', '/submit', { source: APB_SOURCE, input: '20 22\n' });
+  
+  printSection('订阅任务事件直到任务结束');
+  printRequest('GET', `/task/${task.taskId}/events`);
+  const response = await fetch(`${API_URL}/task/${task.taskId}/events`, {
+    headers: { 'X-Auth-Token': TOKEN },
+    signal: AbortSignal.timeout(120000),
+  });
+  
+  if (response.headers.get('content-type') !== 'text/event-stream') {
+    printError(`Content-Type: ${response.headers.get('content-type')}`);
+    return;
+  }
+  
+  // 服务器在任务结束后关闭连接，读完响应即得到全部事件
+  const events = (await response.text())
+    .split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+  
+  events.forEach(({ event, data }) => {
+    printInfo(`${event}: ${event === 'status' ? data.status : JSON.stringify(data.progress)}`);
+  });
+  
+  const last = events[events.length - 1];
+  if (events[0]?.event === 'status' && last?.event === 'status' && last.data.status === 'completed') {
+    printSuccess(`收到 ${events.length} 个事件，最后一个为完成状态`);
+  } else {
+    printError(`事件: ${JSON.stringify(events)}`);
+  }
+  
+  if (last?.data.result?.result?.output?.trim() === '42') {
+    printSuccess('完成事件包含任务结果');
+  } else {
+    printError(`结果: ${JSON.stringify(last?.data.result)}`);
+  }
+  
+  printSection('不存在的任务');
+  const missing = await request('GET', '/task/00000000-0000-0000-0000-000000000000/events');
+  if (missing.error) {
+    printSuccess('返回错误');
+  } else {
+    printError('未返回错误');
+  }
+}
+
+async function testWebhook() {
+  printHeader('测试 19: 任务回调（Webhook）');
+  
+  // 本地接收回调，第一次返回 500 以验证重试
+  const deliveries = [];
+  let onDelivery = null;
+  const receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      deliveries.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+      res.writeHead(deliveries.length === 1 ? 500 : 200).end();
+      onDelivery?.();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const callbackUrl = `http://127.0.0.1:${receiver.address().port}/callback`;
+  
+  try {
+    printSection('非法的回调地址');
+    const invalid = await request('POST', '/submit', { source: APB_SOURCE, input: '1 2\n', callbackUrl: 'ftp://example.com' });
+    if (invalid.error) {
+      printSuccess('回调地址被拒绝');
+    } else {
+      printError(`响应: ${JSON.stringify(invalid)}`);
+    }
+    
+    printSection('任务结束后回调');
+    const task = await request('POST', '/submit', { source: APB_SOURCE, input: '20 22\n', callbackUrl });
+    
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Webhook timeout')), 120000);
+      onDelivery = () => {
+        if (deliveries.length >= 2) {
+          clearTimeout(timer);
+          resolve();
+        }
+      };
+    });
+    
+    const [first, second] = deliveries;
+    printInfo(`收到 ${deliveries.length} 次回调，第二次为第 ${second.headers['x-judge-delivery-attempt']} 次投递`);
+    
+    const payload = JSON.parse(second.body);
+    if (payload.id === task.taskId && payload.status === 'completed' && second.headers['x-judge-task-id'] === task.taskId) {
+      printSuccess('回调内容为结束后的任务');
+    } else {
+      printError(`回调内容: ${second.body}`);
+    }
+    
+    const signature = `sha256=${createHmac('sha256', TOKEN).update(second.body).digest('hex')}`;
+    if (second.headers['x-judge-signature'] === signature) {
+      printSuccess('签名正确');
+    } else {
+      printError(`签名: ${second.headers['x-judge-signature']}`);
+    }
+    
+    if (first.headers['x-judge-delivery-attempt'] === '1' && second.headers['x-judge-delivery-attempt'] === '2') {
+      printSuccess('失败后重试投递');
+    } else {
+      printError(`投递次数: ${first.headers['x-judge-delivery-attempt']}, ${second.headers['x-judge-delivery-attempt']}`);
+    }
+    
+    // 投递结果在回调返回后记录
+    let callback = null;
+    for (let i = 0; i < 10 && callback?.status !== 'delivered'; i++) {
+      await sleep(200);
+      callback = (await request('GET', `/task/${task.taskId}`)).callback;
+    }
+    if (callback?.status === 'delivered' && callback.deliveries.length === 2) {
+      printSuccess('任务记录了投递结果');
+    } else {
+      printError(`callback: ${JSON.stringify(callback)}`);
+    }
+  } finally {
+    receiver.close();
+  }
+}
+
+async function testCacheCapacity() {
+  printHeader('测试 20: 缓存容量上限与淘汰');
+  
+  // 需要服务端配置较小的 JUDGE_CACHE_MAX_SIZE（如 16），否则写满缓存太慢
+  const { cache } = await request('GET', '/status');
+  if (!cache?.maxSize || cache.maxSize > 64 * 1024 * 1024) {
+    printInfo('JUDGE_CACHE_MAX_SIZE 未配置或大于 64MB，跳过');
+    return;
+  }
+  
+  printSection('上传超过容量上限的文件');
+  const tooLarge = await uploadBuffer(Buffer.alloc(cache.maxSize + 1024 * 1024), 'large.in', 'input');
+  const { cache: afterReject } = await request('GET', '/status');
+  
+  if (tooLarge.status === 507 && afterReject.reservedSize === cache.reservedSize) {
+    printSuccess('接收过程中即因容量不足被拒绝，预留的容量已释放');
+  } else {
+    printError(`状态码: ${tooLarge.status}，预留容量: ${cache.reservedSize} -> ${afterReject.reservedSize}`);
+  }
+  
+  // 每个文件占容量的 40%，写入第三个时必须淘汰一个
+  const size = Math.floor(cache.maxSize * 0.4);
+  const fill = label => Buffer.alloc(size, `${label}-${Date.now()}\n`);
+  
+  const used = await uploadBuffer(fill('used'), 'used.in', 'input');
+  const idle = await uploadBuffer(fill('idle'), 'idle.in', 'input');
+  
+  // 运行中的任务引用先写入的文件；再下载另一个，使被引用的文件成为最久未访问的条目
+  const taskId = await startEndlessRun(30000, used.cacheId);
+  if (!taskId) return;
+  await request('GET', `/cache/${idle.cacheId}`);
+  
+  printSection('容量不足时淘汰未被任务使用的条目');
+  const latest = await uploadBuffer(fill('latest'), 'latest.in', 'input');
+  const usedMeta = await request('GET', `/cache/${used.cacheId}/meta`);
+  const idleMeta = await request('GET', `/cache/${idle.cacheId}/meta`);
+  const { cache: afterEvict } = await request('GET', '/status');
+  
+  if (latest.cacheId && !usedMeta.error && idleMeta.error && afterEvict.evictions > cache.evictions) {
+    printSuccess('运行中任务引用的条目被保留，淘汰了其他条目');
+  } else {
+    printError(`状态码: ${latest.status}，used: ${usedMeta.error ?? 'kept'}，idle: ${idleMeta.error ?? 'kept'}`);
+  }
+  
+  await request('DELETE', `/task/${taskId}`);
+  await request('DELETE', `/cache/${used.cacheId}`);
+  if (latest.cacheId) {
+    await request('DELETE', `/cache/${latest.cacheId}`);
+  }
+}
+
+async function testTaskRestore() {
+  printHeader('测试 21: 重启后恢复任务');
+  
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'judge-store-'));
+  const storeFile = path.join(dir, 'tasks.jsonl');
+  const record = (id, label, status, extra = {}) => ({
+    id, type: 'run', status, priority: 0, result: null, error: null, reason: null,
+    createdAt: Date.now(), startedAt: null, completedAt: null, callback: null,
+    data: { label }, ...extra,
+  });
+  
+  // 同一任务的多条记录取最后一条；进程崩溃可能留下不完整的最后一行
+  fs.writeFileSync(storeFile, [
+    record('task-pending', 'pending', 'pending'),
+    record('task-running', 'running', 'pending'),
+    record('task-running', 'running', 'running', { startedAt: Date.now() }),
+    record('task-done', 'done', 'completed', { result: { label: 'done' }, completedAt: Date.now() }),
+  ].map(r => JSON.stringify(r)).join('\n') + '\n{"id": "task-broken', 'utf-8');
+  
+  printSection('从存储文件恢复并执行');
+  try {
+    const restored = await runServerScript(`
+      const { taskQueue } = await import('${serverModule('queue.js')}');
+      const { JsonLinesTaskStore } = await import('${serverModule('store.js')}');
+      const handled = [];
+      taskQueue.registerHandler('run', async (data) => {
+        handled.push(data.label);
+        return { label: data.label };
+      });
+      taskQueue.setStore(new JsonLinesTaskStore(process.env.STORE_FILE));
+      taskQueue.restore();
+      while (taskQueue.getActiveTasks().length > 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      console.log(JSON.stringify({ handled, tasks: Array.from(taskQueue.tasks.values()).map(task => task.toJSON()) }));
+      process.exit(0);
+    `, { STORE_FILE: storeFile });
+    
+    printInfo(`执行的任务: ${restored.handled.join(', ')}`);
+    const statuses = Object.fromEntries(restored.tasks.map(task => [task.id, task.status]));
+    printInfo(`任务状态: ${JSON.stringify(statuses)}`);
+    
+    if (restored.handled.sort().join() === 'pending,running') {
+      printSuccess('等待中与上次运行中的任务重新执行，已完成的任务不重复执行');
+    } else {
+      printError(`执行的任务: ${JSON.stringify(restored.handled)}`);
+    }
+    
+    const done = restored.tasks.find(task => task.id === 'task-done');
+    if (restored.tasks.length === 3 && Object.values(statuses).every(status => status === 'completed') && done?.result.label === 'done') {
+      printSuccess('恢复了 3 个任务，已完成任务的结果保留，不完整的记录被忽略');
+    } else {
+      printError(`任务: ${JSON.stringify(restored.tasks)}`);
+    }
+    
+    // 恢复时压缩存储，之后的状态变化继续追加
+    const lines = fs.readFileSync(storeFile, 'utf-8').trim().split('\n');
+    const latest = new Map(lines.map(line => JSON.parse(line)).map(r => [r.id, r.status]));
+    if (!latest.has('task-broken') && [...latest.values()].every(status => status === 'completed')) {
+      printSuccess('存储文件已压缩，记录了最新状态');
+    } else {
+      printError(`存储文件: ${lines.length} 行`);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testCacheReload() {
+  printHeader('测试 22: 重启后重建缓存索引');
+  
+  // 使用独立的缓存目录，不影响正在运行的服务器
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'judge-cache-'));
+  const env = { JUDGE_CACHE_DIR: dir };
+  
+  try {
+    printSection('写入缓存后退出');
+    const ids = await runServerScript(`
+      const { cacheManager } = await import('${serverModule('cache.js')}');
+      const pinned = cacheManager.set('input', '1 2\\n', { fileName: '1.in' }, { ttl: null });
+      const shared = cacheManager.set('source', 'int main() {}\\n', { fileName: 'main.cpp' });
+      cacheManager.set('source', 'int main() {}\\n');
+      cacheManager.addKey(shared, 'compile-key', { note: 'kept' });
+      const expired = cacheManager.set('output', '3\\n', {}, { ttl: 1 });
+      console.log(JSON.stringify({ pinned, shared, expired }));
+      process.exit(0);
+    `, env);
+    
+    // 模拟异常退出留下的孤立文件
+    fs.writeFileSync(path.join(dir, 'input', 'orphan-data'), 'no metadata\n');
+    fs.writeFileSync(path.join(dir, 'output', 'orphan-meta.json'), JSON.stringify({ id: 'orphan-meta', type: 'output', metadata: {} }));
+    fs.writeFileSync(path.join(dir, 'source', `${ids.shared}.json.tmp`), '{');
+    fs.writeFileSync(path.join(dir, 'uploads', 'interrupted-upload'), 'partial');
+    
+    printSection('重新加载');
+    const reloaded = await runServerScript(`
+      const fs = await import('fs');
+      const path = await import('path');
+      const { cacheManager } = await import('${serverModule('cache.js')}');
+      const files = Object.fromEntries(['source', 'input', 'output', 'uploads']
+        .map(type => [type, fs.readdirSync(path.join(process.env.JUDGE_CACHE_DIR, type)).sort()]));
+      const { items } = cacheManager.list();
+      console.log(JSON.stringify({ items, files, byKey: cacheManager.findByKey('compile-key')?.record ?? null }));
+      process.exit(0);
+    `, env);
+    
+    const entries = Object.fromEntries(reloaded.items.map(item => [item.id, item]));
+    printInfo(`加载的条目: ${reloaded.items.map(item => `${item.type}/${item.metadata.fileName}`).join(', ')}`);
+    printInfo(`剩余文件: ${JSON.stringify(reloaded.files)}`);
+    
+    const pinned = entries[ids.pinned];
+    const shared = entries[ids.shared];
+    if (reloaded.items.length === 2 && pinned?.pinned && shared?.refs === 2 && reloaded.byKey?.note === 'kept') {
+      printSuccess('未过期的条目连同常驻状态、引用数与查找键一起恢复，过期条目未加载');
+    } else {
+      printError(`条目: ${JSON.stringify(reloaded.items)}，查找键: ${JSON.stringify(reloaded.byKey)}`);
+    }
+    
+    const expected = {
+      source: [ids.shared, `${ids.shared}.json`],
+      input: [ids.pinned, `${ids.pinned}.json`],
+      output: [],
+      uploads: [],
+    };
+    const clean = Object.entries(expected)
+      .every(([type, names]) => JSON.stringify(reloaded.files[type]) === JSON.stringify(names.sort()));
+    if (clean) {
+      printSuccess('过期条目、孤立文件与中断的上传已删除');
+    } else {
+      printError(`剩余文件: ${JSON.stringify(reloaded.files)}`);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testCacheQueries() {
+  printHeader('测试 23: 缓存列表与查询');
+  
+  const content = `listed-${Date.now()}\n`;
+  const hash = createHash('sha256').update(content).digest('hex');
+  const uploaded = await uploadInline(content, 'output', { fileName: 'listed.out' });
+  
+  printSection('列出缓存（GET /cache）');
+  const page = await request('GET', '/cache?type=output&limit=1');
+  if (page.limit === 1 && page.total >= 1 && page.entries?.length === 1 && page.entries[0].cacheId === uploaded.cacheId) {
+    printSuccess(`共 ${page.total} 个 output 条目，最新写入的排在第一页`);
+  } else {
+    printError(`列表: ${JSON.stringify(page)}`);
+  }
+  
+  const badLimit = await request('GET', '/cache?limit=0');
+  const badType = await request('GET', '/cache?type=unknown');
+  if (badLimit.error && badType.error) {
+    printSuccess('非法的分页参数与类型被拒绝');
+  } else {
+    printError('非法参数未被拒绝');
+  }
+  
+  printSection('按内容哈希查找（GET /cache/by-hash/:sha256）');
+  const found = await request('GET', `/cache/by-hash/${hash.toUpperCase()}`);
+  const otherType = await request('GET', `/cache/by-hash/${hash}?type=input`);
+  const badHash = await request('GET', '/cache/by-hash/not-a-hash');
+  if (found.hash === hash && found.entries?.some(entry => entry.cacheId === uploaded.cacheId)
+    && otherType.error && badHash.error) {
+    printSuccess('找到已上传的条目，按类型过滤与非法哈希均正确处理');
+  } else {
+    printError(`结果: ${JSON.stringify({ found, otherType, badHash })}`);
+  }
+  
+  printSection('检查缓存是否存在（HEAD /cache/:cacheId）');
+  const head = async (cacheId) => {
+    printRequest('HEAD', `/cache/${cacheId}`);
+    const response = await fetch(`${API_URL}/cache/${cacheId}`, {
+      method: 'HEAD',
+      headers: { 'X-Auth-Token': TOKEN },
+    });
+    const headers = {
+      'content-length': response.headers.get('content-length'),
+      etag: response.headers.get('etag'),
+    };
+    printResponse({ status: response.status, headers });
+    return { status: response.status, headers };
+  };
+  
+  const existing = await head(uploaded.cacheId);
+  const missing = await head('00000000-0000-0000-0000-000000000000');
+  if (existing.status === 200 && existing.headers['content-length'] === String(Buffer.byteLength(content))
+    && existing.headers.etag === `"${hash}"` && missing.status === 404) {
+    printSuccess('存在的条目返回大小与 ETag，不存在的返回 404');
+  } else {
+    printError(`结果: ${existing.status} ${JSON.stringify(existing.headers)}，不存在的条目: ${missing.status}`);
+  }
+}
+
 // ========== 主函数 ==========
 
 async function main() {
@@ -687,10 +1962,23 @@ async function main() {
     }
     
     // 2. 正确解法测试
-    await testCorrectSolution();
+    const correct = await testCorrectSolution();
+    
+    // 2.1 批量评测
+    if (correct) {
+      await testBatchJudge(correct.binaryCacheId, correct.uploadedCases);
+
+      // 2.2 子任务计分
+      await testSubtaskJudge(correct.binaryCacheId, correct.uploadedCases);
+    }
     
     // 3. 错误解法测试
-    await testWrongSolution();
+    const wrong = await testWrongSolution();
+    
+    // 3.1 ICPC 模式
+    if (wrong) {
+      await testIcpcBatch(wrong.binaryCacheId, wrong.uploadedCases);
+    }
     
     // 4. 文件IO测试
     await testFileIO();
@@ -704,6 +1992,62 @@ async function main() {
     // 7. 自定义 Checker 测试
     await testCustomChecker();
     
+    // 8. 取消任务
+    await testCancelTask();
+    
+    // 8.1 任务超时
+    await testTaskTimeout();
+    
+    // 8.2 长轮询
+    if (correct) {
+      await testLongPoll(correct.binaryCacheId, correct.uploadedCases);
+    }
+    
+    // 9. 缓存引用计数
+    await testCacheRefs();
+    
+    // 10. 分块上传
+    await testChunkedUpload();
+    
+    // 11. 测试数据压缩包
+    await testArchiveUpload();
+    
+    // 12. 一次提交
+    await testSubmit();
+    
+    // 13. 编译选项
+    await testCompileOptions();
+    
+    // 14. 额外文件
+    await testExtraFiles();
+    
+    // 15. 编译缓存
+    await testCompileCache();
+    
+    // 16. Python 提交
+    await testPythonSubmission();
+    
+    // 17. WebSocket
+    await testWebSocket();
+    
+    // 18. 任务事件流
+    await testEventStream();
+    
+    // 19. 任务回调
+    await testWebhook();
+    
+    // 20. 缓存容量
+    await testCacheCapacity();
+    
+    // 21. 任务恢复
+    await testTaskRestore();
+    
+    // 22. 缓存重新加载
+    await testCacheReload();
+    
+    // 23. 缓存列表与查询
+    await testCacheQueries();
+    
     // 完成
     console.log('\n' + '═'.repeat(60));
     print('  🎉 所有测试完成！', colors.green + colors.bright);